@@ -1,88 +1,81 @@
-// Offscreen analyzer: detects visual diffs and returns clustered regions
+// Offscreen analyzer: detects visual diffs and returns clustered regions.
+// The pixel work itself lives in diffcore.mjs and runs in a Web Worker (diffworker.js) by default.
+// Loaded as a module (analyzer.html); settings.js and Resemble.js are classic scripts before it.
+import * as TNDiff from './diffcore.mjs';
+
 (() => {
   'use strict';
 
   // ---------------------------
-  // Tunables (do not alter semantics)
+  // Tunables (defaults; each request may override them via msg.tunables)
   // ---------------------------
-  const STEP = 2;                  // sample stride (every 2nd pixel)
-  const MIN_VISIBLE_DELTA = 2.5;   // perceptibility threshold (declared for parity)
-  const HIT_DELTA = 4.5;           // mark a pixel as changed at/above this delta
-  const MIN_REGION_AREA = 20 * 20; // ignore tiny specks
-
-  // Region severity from maximum per-region color distance in Lab space
-  const levelFromDelta = (d) =>
-      d >= 28 ? 'critical'
-    : d >= 12 ? 'warning'
-    : 'minor';
-
-  // Global severity from % changed (kept for parity with original; unused here)
-  const levelFromPercent = (p) =>
-      p >= 35 ? 'critical'
-    : p >= 15 ? 'warning'
-    : 'minor';
+  const MIN_VISIBLE_DELTA = 2.5;   // perceptibility threshold; samples below it stay clear in the heatmap
+  const DEFAULT_TUNABLES = TNSettings.tunables(TNSettings.DEFAULTS);
+  // sampleStep     – sample stride (every Nth pixel)
+  // hitDelta       – mark a pixel as changed at/above this delta
+  // minRegionArea  – ignore tiny specks
+  // regionWarning / regionCritical – per-region Lab distance tiers
+  // analyzerThread – 'worker' or 'page'
+
+  // Merge request overrides over defaults, ignoring anything of the wrong type
+  const resolveTunables = (overrides) => {
+    const cfg = { ...DEFAULT_TUNABLES };
+    for (const k of Object.keys(cfg)) {
+      if (typeof cfg[k] === 'string') {
+        if (typeof overrides?.[k] === 'string') cfg[k] = overrides[k];
+        continue;
+      }
+      const v = Number(overrides?.[k]);
+      if (Number.isFinite(v) && v > 0) cfg[k] = v;
+    }
+    cfg.sampleStep = Math.max(1, Math.round(cfg.sampleStep));
+    return cfg;
+  };
 
   // ---------------------------
-  // Color conversion helpers (sRGB -> XYZ -> Lab)
+  // Decoding (once per frame)
   // ---------------------------
-  const srgbToLinear = (c) => {
-    const x = c / 255;
-    return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
-  };
 
-  const rgbToXyz = (r, g, b) => {
-    const rl = srgbToLinear(r);
-    const gl = srgbToLinear(g);
-    const bl = srgbToLinear(b);
-    return [
-      rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375,
-      rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750,
-      rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041
-    ];
-  };
-
-  const xyzToLab = (X, Y, Z) => {
-    // D65 reference white
-    const refX = 0.95047;
-    const refY = 1.00000;
-    const refZ = 1.08883;
-
-    const f = (t) => (t > 0.008856) ? Math.cbrt(t) : (7.787 * t + 16 / 116);
-
-    const fx = f(X / refX);
-    const fy = f(Y / refY);
-    const fz = f(Z / refZ);
-
-    return [
-      116 * fy - 16,       // L*
-      500 * (fx - fy),     // a*
-      200 * (fy - fz)      // b*
-    ];
-  };
+  // The newest capture of one request is usually the baseline of the next (the capture loop
+  // and return comparisons both advance it), so the last couple of decoded frames are kept
+  const DECODE_CACHE_SIZE = 2;
+  const decoded = new Map();  // data URL -> Promise<{ data, width, height }>
+
+  // PNG data URL -> RGBA pixels, decoded off the main thread by createImageBitmap
+  const decodeFrame = (url) => {
+    const hit = decoded.get(url);
+    if (hit) {
+      decoded.delete(url);
+      decoded.set(url, hit);
+      return hit;
+    }
 
-  const rgbToLab = (r, g, b) => {
-    const [X, Y, Z] = rgbToXyz(r, g, b);
-    return xyzToLab(X, Y, Z);
+    const job = (async () => {
+      const bitmap = await createImageBitmap(await (await fetch(url)).blob());
+      const canvas = makeCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    })();
+    job.catch(() => decoded.delete(url));
+
+    decoded.set(url, job);
+    while (decoded.size > DECODE_CACHE_SIZE) decoded.delete(decoded.keys().next().value);
+    return job;
   };
 
-  const labDistance = (L1, a1, b1, L2, a2, b2) => {
-    const dL = L1 - L2;
-    const dA = a1 - a2;
-    const dB = b1 - b2;
-    return Math.sqrt(dL * dL + dA * dA + dB * dB);
+  // Frame hashes follow the pixel objects, so an uncropped cached frame is hashed only once
+  const hashes = new WeakMap();
+  const hashOf = (img) => {
+    let h = hashes.get(img);
+    if (!h) {
+      h = TNDiff.frameHash(img);
+      hashes.set(img, h);
+    }
+    return h;
   };
 
-  // ---------------------------
-  // Image IO
-  // ---------------------------
-  const loadImage = (src) =>
-    new Promise((resolve, reject) => {
-      const im = new Image();
-      im.onload = () => resolve(im);
-      im.onerror = reject;
-      im.src = src;
-    });
-
   const makeCanvas = (w, h) => {
     if (typeof OffscreenCanvas !== 'undefined') {
       return new OffscreenCanvas(w, h);
@@ -94,36 +87,70 @@
     // (Offscreen document context guarantees DOM access)
   };
 
-  const getPairImageData = async (beforeUrl, afterUrl) => {
-    const [imA, imB] = await Promise.all([loadImage(beforeUrl), loadImage(afterUrl)]);
-    const w = Math.min(imA.width, imB.width);
-    const h = Math.min(imA.height, imB.height);
+  // ---------------------------
+  // Geometry alignment
+  // ---------------------------
+
+  // Below this share of the viewport still visible in both frames we re-baseline instead
+  const MIN_OVERLAP = 0.5;
+
+  // Capture-pixel offset of the "after" frame relative to "before", from the page geometry
+  // ({ scrollX, scrollY, innerWidth, ... }) visualizer.js reported with each capture.
+  const scrollShift = (geoA, geoB, imgWidth) => {
+    if (!geoA || !geoB || !geoB.innerWidth) return { dx: 0, dy: 0 };
+    const scale = imgWidth / geoB.innerWidth;  // CSS px -> capture px (devicePixelRatio incl. zoom)
+    return {
+      dx: Math.round(((geoB.scrollX || 0) - (geoA.scrollX || 0)) * scale),
+      dy: Math.round(((geoB.scrollY || 0) - (geoA.scrollY || 0)) * scale)
+    };
+  };
+
+  // Decode both frames and crop them to the area visible in both. Content at after(x, y)
+  // sits at before(x + dx, y + dy); the crop starts at (x0, y0) in after-frame coordinates.
+  const getPairImageData = async (beforeUrl, afterUrl, geoA, geoB) => {
+    const [imA, imB] = await Promise.all([decodeFrame(beforeUrl), decodeFrame(afterUrl)]);
+    const fullW = imB.width;
+    const fullH = imB.height;
 
-    const cA = makeCanvas(w, h);
-    const cB = makeCanvas(w, h);
-    const ctxA = cA.getContext('2d', { willReadFrequently: true });
-    const ctxB = cB.getContext('2d', { willReadFrequently: true });
+    // A resized window or different zoom can't be aligned pixel-for-pixel
+    if (imA.width !== fullW || imA.height !== fullH) {
+      return { rebaseline: 'size-changed', fullW, fullH };
+    }
 
-    ctxA.drawImage(imA, 0, 0, w, h);
-    ctxB.drawImage(imB, 0, 0, w, h);
+    const { dx, dy } = scrollShift(geoA, geoB, fullW);
+    const x0 = Math.max(0, -dx);
+    const y0 = Math.max(0, -dy);
+    const w = fullW - Math.abs(dx);
+    const h = fullH - Math.abs(dy);
+
+    if (w <= 0 || h <= 0 || (w * h) / (fullW * fullH) < MIN_OVERLAP) {
+      return { rebaseline: 'scrolled', fullW, fullH };
+    }
 
     return {
       width:  w,
       height: h,
-      dataA:  ctxA.getImageData(0, 0, w, h),
-      dataB:  ctxB.getImageData(0, 0, w, h)
+      fullW,
+      fullH,
+      x0,
+      y0,
+      dx,
+      dy,
+      dataA:  TNDiff.crop(imA, x0 + dx, y0 + dy, w, h),
+      dataB:  TNDiff.crop(imB, x0, y0, w, h)
     };
   };
 
   // ---------------------------
   // Global mismatch via Resemble.js (best-effort; 0 if unavailable)
   // ---------------------------
-  const globalMismatch = (urlA, urlB) =>
+  // Takes the already-cropped pixel pair (Resemble accepts { data, width, height } directly)
+  const globalMismatch = (imgA, imgB) =>
     new Promise((resolve) => {
       if (typeof resemble === 'undefined') return resolve(0);
       try {
-        resemble(urlA)
-          .compareTo(urlB)
+        resemble(imgA)
+          .compareTo(imgB)
           .ignoreNothing()
           .onComplete((data) => {
             const pct = parseFloat(
@@ -137,153 +164,287 @@
     });
 
   // ---------------------------
-  // Sampling pass: compute per-sample Lab distance and mark changed samples
+  // Volatility mask (cells that changed on their own while the tab was active, see monitor.js)
   // ---------------------------
-  const sampleChanges = (imgA, imgB, w, h) => {
-    const pA = imgA.data;
-    const pB = imgB.data;
 
-    const rows = Math.ceil(h / STEP);
-    const cols = Math.ceil(w / STEP);
+  // Above this share of masked samples the page is dynamic throughout (video, canvas games);
+  // ignoring that much would blind the comparison, so the mask is dropped instead
+  const MAX_MASK_SHARE = 0.5;
+
+  // Per-sample flags over the crop. The sample at crop (x, y) shows before-frame pixel
+  // (x0 + dx + x, y0 + dy + y); the mask was learned at its own scroll position (mask.geometry)
+  // and is shifted onto the before frame the same way.
+  const maskGrid = (mask, pair, rows, cols, STEP, geoBefore) => {
+    if (!mask?.cells?.length || !mask.cell || mask.width !== pair.fullW) return null;
+    const hot = new Uint8Array(mask.cols * mask.rows);
+    for (const i of mask.cells) hot[i] = 1;
+
+    const m = scrollShift(mask.geometry, geoBefore, pair.fullW);
+    const ox = pair.x0 + pair.dx + m.dx;
+    const oy = pair.y0 + pair.dy + m.dy;
+
+    const grid = new Uint8Array(rows * cols);
+    let count = 0;
+    for (let ry = 0; ry < rows; ry++) {
+      const my = Math.floor((oy + ry * STEP) / mask.cell);
+      if (my < 0 || my >= mask.rows) continue;
+      for (let cx = 0; cx < cols; cx++) {
+        const mx = Math.floor((ox + cx * STEP) / mask.cell);
+        if (mx < 0 || mx >= mask.cols || !hot[my * mask.cols + mx]) continue;
+        grid[ry * cols + cx] = 1;
+        count++;
+      }
+    }
+    return count ? { grid, share: count / (rows * cols) } : null;
+  };
 
-    const marks = new Uint8Array(rows * cols);
-    const deltas = new Float32Array(rows * cols);
+  // ---------------------------
+  // Sampling + labeling (diffcore.mjs), in a Web Worker unless disabled
+  // ---------------------------
 
-    let changed = 0;
-    let total   = 0;
+  let worker = null;
+  let workerBroken = false;
+  let nextJob = 1;
+  const pending = new Map();  // job id -> { resolve, reject }
 
-    for (let y = 0, ry = 0; y < h; y += STEP, ry++) {
-      for (let x = 0, cx = 0; x < w; x += STEP, cx++) {
-        const off = (y * w + x) * 4;
+  const getWorker = () => {
+    if (worker || workerBroken || typeof Worker === 'undefined') return worker;
+    try {
+      worker = new Worker('diffworker.js', { type: 'module' });
+      worker.onmessage = ({ data }) => {
+        const p = pending.get(data.id);
+        if (!p) return;
+        pending.delete(data.id);
+        if (data.error) p.reject(new Error(data.error));
+        else p.resolve(data);
+      };
+      // A worker that fails to load stays off; queued jobs fall back to the page
+      worker.onerror = (e) => {
+        console.warn('[analyzer] worker failed, running inline:', e?.message || e);
+        workerBroken = true;
+        worker.terminate();
+        worker = null;
+        for (const p of pending.values()) p.reject(new Error('worker failed'));
+        pending.clear();
+      };
+    } catch {
+      workerBroken = true;
+    }
+    return worker;
+  };
 
-        const r1 = pA[off],     g1 = pA[off + 1], b1 = pA[off + 2];
-        const r2 = pB[off],     g2 = pB[off + 1], b2 = pB[off + 2];
+  // Copies of the (possibly cached) pixel buffers are transferred, not cloned a second time
+  const analyzeInWorker = (job) => {
+    const w = getWorker();
+    if (!w) return Promise.reject(new Error('no worker'));
+    const id = nextJob++;
+    const a = job.a.slice();
+    const b = job.b.slice();
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      w.postMessage({ ...job, id, a, b }, [a.buffer, b.buffer]);
+    });
+  };
 
-        const [L1, a1, b_1] = rgbToLab(r1, g1, b1);
-        const [L2, a2, b_2] = rgbToLab(r2, g2, b2);
+  const runAnalysis = async (job, cfg) => {
+    if (cfg.analyzerThread === 'worker') {
+      try {
+        return await analyzeInWorker(job);
+      } catch {
+        // fall through to the inline path
+      }
+    }
+    return TNDiff.analyze(job);
+  };
 
-        const d = labDistance(L1, a1, b_1, L2, a2, b_2);
+  // ---------------------------
+  // Heatmap: one pixel per sample, tinted by Lab distance
+  // ---------------------------
 
-        const idx = ry * cols + cx;
-        deltas[idx] = d;
+  const canvasToDataUrl = async (canvas) => {
+    if (typeof canvas.toDataURL === 'function') return canvas.toDataURL('image/png');
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  };
 
-        if (d >= HIT_DELTA) {
-          marks[idx] = 1;
-          changed++;
-        }
-        total++;
-      }
+  // PNG data URL (cols x rows) or null when nothing perceptible changed.
+  // Opacity grows with the distance and saturates at the critical tier.
+  const heatmapFromDeltas = async (deltas, rows, cols, cfg, masked = null) => {
+    const canvas = makeCanvas(cols, rows);
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(cols, rows);
+    const px = img.data;
+    let any = false;
+
+    for (let i = 0; i < deltas.length; i++) {
+      const d = deltas[i];
+      if (d < MIN_VISIBLE_DELTA || masked?.[i]) continue;
+      const [r, g, b] = TNDiff.LEVEL_COLORS[TNDiff.levelFromDelta(d, cfg)];
+      const o = i * 4;
+      px[o] = r;
+      px[o + 1] = g;
+      px[o + 2] = b;
+      px[o + 3] = Math.round(255 * (0.25 + 0.75 * Math.min(1, d / cfg.regionCritical)));
+      any = true;
     }
+    if (!any) return null;
 
-    const approxPercent = (changed / total) * 100;
-
-    return { marks, deltas, rows, cols, approxPercent };
+    ctx.putImageData(img, 0, 0);
+    return canvasToDataUrl(canvas);
   };
 
   // ---------------------------
-  // Connected components over the mark grid to produce bounding boxes
+  // Requests: every reply echoes the requestId monitor.js sent
   // ---------------------------
-  const regionsFromMarks = (marks, deltas, rows, cols) => {
-    const seen = new Uint8Array(marks.length);
-    const out = [];
-
-    const neighbors4 = (r, c) => (
-      r > 0         ? [[r - 1, c]] : []
-    ).concat(
-      r + 1 < rows  ? [[r + 1, c]] : []
-    ).concat(
-      c > 0         ? [[r, c - 1]] : []
-    ).concat(
-      c + 1 < cols  ? [[r, c + 1]] : []
-    );
-
-    for (let r = 0; r < rows; r++) {
-      for (let c = 0; c < cols; c++) {
-        const i = r * cols + c;
-        if (!marks[i] || seen[i]) continue;
-
-        let minR = r, maxR = r, minC = c, maxC = c;
-        let maxDelta = 0;
-        let stack = [[r, c]];
-        seen[i] = 1;
-
-        while (stack.length) {
-          const [cr, cc] = stack.pop();
-          const ci = cr * cols + cc;
-
-          if (deltas[ci] > maxDelta) maxDelta = deltas[ci];
-          if (cr < minR) minR = cr; if (cr > maxR) maxR = cr;
-          if (cc < minC) minC = cc; if (cc > maxC) maxC = cc;
-
-          for (const [nr, nc] of neighbors4(cr, cc)) {
-            const ni = nr * cols + nc;
-            if (!seen[ni] && marks[ni]) {
-              seen[ni] = 1;
-              stack.push([nr, nc]);
-            }
-          }
-        }
-
-        const x = minC * STEP;
-        const y = minR * STEP;
-        const w = (maxC - minC + 1) * STEP;
-        const h = (maxR - minR + 1) * STEP;
-
-        if (w * h >= MIN_REGION_AREA) {
-          out.push({
-            x, y, w, h,
-            level: levelFromDelta(maxDelta),
-            maxDiff: maxDelta
-          });
-        }
-      }
+
+  // Requests being worked on, and those monitor.js has since given up on (user left the tab
+  // again, timeout); cancelled work stops at the next stage boundary without replying
+  const active = new Set();
+  const cancelled = new Set();
+
+  const checkpoint = (msg) => {
+    if (!cancelled.has(msg.requestId)) return;
+    const err = new Error('cancelled');
+    err.cancelled = true;
+    throw err;
+  };
+
+  // A restarted worker no longer waits for the reply, and sending it then rejects
+  const reply = (msg, type, payload) =>
+    chrome.runtime.sendMessage({ type, requestId: msg.requestId, tabId: msg.tabId, ...payload })
+      .catch(e => console.warn('[analyzer] reply not delivered:', e?.message || e));
+
+  // Run one request; errors become an { error } reply, cancellations end silently
+  const handle = async (msg, type, work) => {
+    active.add(msg.requestId);
+    try {
+      reply(msg, type, await work());
+    } catch (err) {
+      if (!err?.cancelled) reply(msg, type, { error: String(err?.message || err) });
+    } finally {
+      active.delete(msg.requestId);
+      cancelled.delete(msg.requestId);
     }
+  };
+
+  // ---------------------------
+  // Volatility learning: which cells differ between two consecutive active-tab captures
+  // ---------------------------
+
+  const learnVolatility = async (msg) => {
+    const cfg = resolveTunables(msg.tunables);
+    const cell = Math.max(4, Math.round(Number(msg.cell) || 16));
 
-    return out;
+    const pair = await getPairImageData(msg.original, msg.current, msg.geometry?.before, msg.geometry?.after);
+    if (pair.rebaseline) return { rebaseline: pair.rebaseline };
+    checkpoint(msg);
+    return {
+      cell,
+      // Coarser than the comparison pass; a cell only needs one changed sample to count
+      ...TNDiff.hotCells(pair, cell, Math.max(4, cfg.sampleStep * 2), cfg.hitDelta)
+    };
   };
 
   // ---------------------------
-  // Message bridge
+  // Comparison
   // ---------------------------
-  chrome.runtime.onMessage.addListener(async (msg) => {
-    if (msg?.type !== 'analysis:request') return;
 
-    const { tabId, original, current } = msg;
+  const compare = async (msg) => {
+    const cfg = resolveTunables(msg.tunables);
 
-    try {
-      // 1) Coarse global % via resemble (if available)
-      const coarsePct = await globalMismatch(original, current);
-
-      // 2) Pixel sampling pass
-      const { width, height, dataA, dataB } = await getPairImageData(original, current);
-      const { marks, deltas, rows, cols, approxPercent } =
-        sampleChanges(dataA, dataB, width, height);
-
-      // Prefer Resemble’s percentage if it returned a value; otherwise use our estimate
-      const mismatch = coarsePct > 0 ? coarsePct : approxPercent;
-
-      // 3) Connected components -> regions
-      const changes = regionsFromMarks(marks, deltas, rows, cols);
-
-      // 4) Respond
-      chrome.runtime.sendMessage({
-        type: 'analysis:complete',
-        tabId,
-        mismatch,
-        changes,
-        width,
-        height
-      });
-    } catch (err) {
-      chrome.runtime.sendMessage({
-        type: 'analysis:complete',
-        tabId,
+    // 1) Decode and align to the overlapping area (scroll between captures)
+    const pair = await getPairImageData(msg.original, msg.current, msg.geometry?.before, msg.geometry?.after);
+    if (pair.rebaseline) {
+      return {
         mismatch: 0,
         changes: [],
-        width: 0,
-        height: 0,
-        error: String(err?.message || err)
-      });
+        width: pair.fullW,
+        height: pair.fullH,
+        rebaseline: pair.rebaseline
+      };
+    }
+    checkpoint(msg);
+    const { width, height, dataA, dataB } = pair;
+    const STEP = cfg.sampleStep;
+
+    // 2) Identical frames (an idle page) end here, before any per-pixel work
+    if (TNDiff.sameHash(hashOf(dataA), hashOf(dataB))) {
+      return {
+        mismatch: 0,
+        changes: [],
+        masked: [],
+        heatmap: null,
+        width: pair.fullW,
+        height: pair.fullH,
+        aligned: { dx: pair.dx, dy: pair.dy }
+      };
+    }
+
+    // 3) Volatility mask, unless it would cover most of the frame
+    const mask = maskGrid(msg.mask, pair, Math.ceil(height / STEP), Math.ceil(width / STEP), STEP, msg.geometry?.before);
+    const maskIgnored = !!mask && mask.share > MAX_MASK_SHARE;
+    const masked = mask && !maskIgnored ? mask.grid : null;
+
+    // 4) Sampling and region labeling (worker), alongside the coarse global % via Resemble,
+    //    which can't skip masked cells
+    const [coarsePct, result] = await Promise.all([
+      masked ? 0 : globalMismatch(dataA, dataB),
+      runAnalysis({
+        a: dataA.data,
+        b: dataB.data,
+        width,
+        height,
+        step: STEP,
+        hitDelta: cfg.hitDelta,
+        minArea: cfg.minRegionArea,
+        masked
+      }, cfg)
+    ]);
+    checkpoint(msg);
+    const { deltas, rows, cols, approxPercent } = result;
+
+    // Prefer Resemble’s percentage if it returned a value; otherwise use our estimate
+    const mismatch = coarsePct > 0 ? coarsePct : approxPercent;
+
+    // 5) Regions shifted back into full-frame coordinates
+    const toFrame = r => ({ ...r, x: r.x + pair.x0, y: r.y + pair.y0 });
+    const changes = result.regions
+      .map(r => toFrame({ ...r, level: TNDiff.levelFromDelta(r.maxDiff, cfg) }));
+    const maskedChanges = result.maskedRegions.map(toFrame);
+
+    // 6) Heatmap over the compared area, in full-frame coordinates
+    const image = await heatmapFromDeltas(deltas, rows, cols, cfg, masked);
+    const heatmap = image
+      ? { image, x: pair.x0, y: pair.y0, w: cols * STEP, h: rows * STEP }
+      : null;
+
+    return {
+      mismatch,
+      changes,
+      masked: maskedChanges,
+      maskIgnored,
+      heatmap,
+      width: pair.fullW,
+      height: pair.fullH,
+      aligned: { dx: pair.dx, dy: pair.dy }
+    };
+  };
+
+  // ---------------------------
+  // Message bridge
+  // ---------------------------
+  chrome.runtime.onMessage.addListener((msg) => {
+    switch (msg?.type) {
+      case 'analysis:request':   handle(msg, 'analysis:complete', () => compare(msg)); break;
+      case 'volatility:request': handle(msg, 'volatility:complete', () => learnVolatility(msg)); break;
+      case 'analysis:cancel':
+        if (active.has(msg.requestId)) cancelled.add(msg.requestId);
+        break;
     }
   });
 })();
@@ -0,0 +1,152 @@
+import * as TNDiff from './diffcore.mjs';
+
+(() => {
+  const RESOLUTIONS = [[1280, 720], [1920, 1080], [2560, 1440], [3840, 2160]];
+  const RUNS = 3;
+
+  const cfg = TNSettings.DEFAULTS;
+  document.getElementById('runs').textContent = RUNS;
+
+  // ---------- synthetic frames ----------
+
+  // A page-like frame: header bar, text lines, a few cards; `swapped` adds what a tab swap would
+  const drawFrame = (w, h, swapped) => {
+    const canvas = new OffscreenCanvas(w, h);
+    const ctx = canvas.getContext('2d');
+    const u = w / 1280;
+
+    ctx.fillStyle = '#f5f7fa';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = '#3949ab';
+    ctx.fillRect(0, 0, w, 64 * u);
+
+    ctx.fillStyle = '#37474f';
+    ctx.font = `${14 * u}px sans-serif`;
+    for (let i = 0; i < 24; i++) {
+      ctx.fillText(`Line ${i} — the quick brown fox jumps over the lazy dog`, 40 * u, (110 + i * 24) * u);
+    }
+    for (let i = 0; i < 3; i++) {
+      ctx.fillStyle = ['#ffe0b2', '#c8e6c9', '#bbdefb'][i];
+      ctx.fillRect((760 + i * 160) * u, 120 * u, 140 * u, 200 * u);
+    }
+
+    if (swapped) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(440 * u, 200 * u, 400 * u, 260 * u);
+      ctx.strokeStyle = '#b0bec5';
+      ctx.strokeRect(470 * u, 260 * u, 340 * u, 36 * u);
+      ctx.strokeRect(470 * u, 320 * u, 340 * u, 36 * u);
+      ctx.fillStyle = '#d32f2f';
+      ctx.fillRect(16 * u, 12 * u, 40 * u, 40 * u);
+    }
+    return canvas.convertToBlob({ type: 'image/png' });
+  };
+
+  const decode = async (blob) => {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  };
+
+  // ---------- worker ----------
+
+  const worker = new Worker('diffworker.js', { type: 'module' });
+  let nextId = 1;
+
+  const inWorker = (job) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    const a = job.a.slice();
+    const b = job.b.slice();
+    const onMessage = ({ data }) => {
+      if (data.id !== id) return;
+      worker.removeEventListener('message', onMessage);
+      if (data.error) reject(new Error(data.error));
+      else resolve(data);
+    };
+    worker.addEventListener('message', onMessage);
+    worker.postMessage({ ...job, id, a, b }, [a.buffer, b.buffer]);
+  });
+
+  // ---------- timing ----------
+
+  const median = (xs) => [...xs].sort((a, b) => a - b)[Math.floor(xs.length / 2)];
+
+  const time = async (fn) => {
+    const t0 = performance.now();
+    const out = await fn();
+    return { ms: performance.now() - t0, out };
+  };
+
+  const benchResolution = async ([w, h]) => {
+    const [blobA, blobB] = await Promise.all([drawFrame(w, h, false), drawFrame(w, h, true)]);
+    const t = { decode: [], hash: [], page: [], worker: [], same: [] };
+    let regions = 0;
+
+    for (let run = 0; run < RUNS; run++) {
+      const dec = await time(() => Promise.all([decode(blobA), decode(blobB)]));
+      const [a, b] = dec.out;
+      t.decode.push(dec.ms);
+
+      t.hash.push((await time(() => [TNDiff.frameHash(a), TNDiff.frameHash(b)])).ms);
+
+      const job = {
+        a: a.data, b: b.data, width: w, height: h,
+        step: cfg.sampleStep, hitDelta: cfg.hitDelta, minArea: cfg.minRegionArea
+      };
+      const page = await time(() => TNDiff.analyze(job));
+      t.page.push(page.ms);
+      regions = page.out.regions.length;
+
+      t.worker.push((await time(() => inWorker(job))).ms);
+
+      // What an idle tab costs: hash both frames, find them equal, stop
+      t.same.push((await time(() => TNDiff.sameHash(TNDiff.frameHash(a), TNDiff.frameHash(a)))).ms);
+    }
+
+    return {
+      label: `${w} × ${h}`,
+      decode: median(t.decode),
+      hash: median(t.hash),
+      page: median(t.page),
+      worker: median(t.worker),
+      same: median(t.same),
+      regions
+    };
+  };
+
+  // ---------- UI ----------
+
+  const fmt = (ms) => `${ms.toFixed(1)} ms`;
+
+  const addRow = (r) => {
+    const tr = document.createElement('tr');
+    for (const text of [r.label, fmt(r.decode), fmt(r.hash), fmt(r.page), fmt(r.worker), fmt(r.same), String(r.regions)]) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    document.getElementById('results').appendChild(tr);
+  };
+
+  const runBtn = document.getElementById('runBtn');
+  const status = document.getElementById('status');
+
+  runBtn.addEventListener('click', async () => {
+    runBtn.disabled = true;
+    document.getElementById('results').innerHTML = '';
+    try {
+      for (const res of RESOLUTIONS) {
+        status.textContent = `Running ${res[0]} × ${res[1]}…`;
+        addRow(await benchResolution(res));
+      }
+      status.textContent = 'Done.';
+    } catch (e) {
+      status.textContent = `Failed: ${e?.message || e}`;
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,131 @@
+(async () => {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const stage = document.getElementById('stage');
+  const beforeImg = document.getElementById('beforeImg');
+  const afterImg = document.getElementById('afterImg');
+  const boxes = document.getElementById('boxes');
+  const divider = document.getElementById('divider');
+  const mix = document.getElementById('mix');
+
+  let mode = 'swipe';
+
+  const showEmpty = (text) => {
+    document.getElementById('meta').textContent = '';
+    const el = document.getElementById('empty');
+    el.textContent = text;
+    el.hidden = false;
+  };
+
+  // ---------- mixing ----------
+
+  // 0 shows only the baseline, 100 only the current capture
+  const applyMix = () => {
+    const p = Number(mix.value);
+    if (mode === 'swipe') {
+      afterImg.style.opacity = '1';
+      afterImg.style.clipPath = `inset(0 ${100 - p}% 0 0)`;
+      divider.hidden = false;
+      divider.style.left = `${p}%`;
+    } else {
+      afterImg.style.clipPath = 'none';
+      afterImg.style.opacity = String(p / 100);
+      divider.hidden = true;
+    }
+  };
+
+  const setMode = (next) => {
+    mode = next;
+    for (const btn of document.querySelectorAll('.mode')) {
+      btn.setAttribute('aria-pressed', String(btn.dataset.mode === mode));
+    }
+    applyMix();
+  };
+
+  // ---------- rendering ----------
+
+  // Regions are in after-frame pixels, so the SVG shares the capture's coordinate space.
+  // Changes inside learned dynamic areas are drawn dashed.
+  const drawBoxes = (changes, masked, width, height) => {
+    boxes.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const rects = [...masked.map(r => ({ ...r, level: 'masked' })), ...changes];
+    for (const r of rects) {
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('x', r.x);
+      rect.setAttribute('y', r.y);
+      rect.setAttribute('width', r.w);
+      rect.setAttribute('height', r.h);
+      rect.setAttribute('class', r.level);
+      if (r.labels?.length) {
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = r.labels.join('\n');
+        rect.appendChild(title);
+      }
+      boxes.appendChild(rect);
+    }
+  };
+
+  // The baseline was scrolled by (dx, dy) relative to the current frame; shift it so content lines up
+  const alignBefore = ({ dx = 0, dy = 0 }, width, height) => {
+    beforeImg.style.transform = `translate(${(-dx / width) * 100}%, ${(-dy / height) * 100}%)`;
+  };
+
+  const renderVerdict = (c) => {
+    const host = document.getElementById('verdict');
+    const head = document.createElement('div');
+    const tier = document.createElement('b');
+    tier.textContent = c.verdict ? `${c.verdict.tier.toUpperCase()} — risk ${c.verdict.score}` : 'No verdict';
+    head.append(tier, ` · ${(c.mismatch || 0).toFixed(1)}% changed · ${c.changes.length} region${c.changes.length === 1 ? '' : 's'}`);
+
+    const list = document.createElement('ul');
+    for (const r of c.verdict?.reasons || []) {
+      const li = document.createElement('li');
+      li.textContent = r.text;
+      list.appendChild(li);
+    }
+    host.append(head, list);
+  };
+
+  // ---------- startup ----------
+
+  const tabId = Number(new URLSearchParams(location.search).get('tabId'));
+  if (!Number.isInteger(tabId)) {
+    showEmpty('No tab selected. Open this page from the popup (View comparison).');
+    return;
+  }
+
+  let c;
+  try {
+    c = await TNStore.get('comparisons', tabId);
+  } catch (e) {
+    showEmpty(`Could not read the comparison: ${e?.message || e}`);
+    return;
+  }
+  if (!c?.before || !c?.after) {
+    showEmpty('No comparison stored for this tab yet. Switch away and back, or press Check now.');
+    return;
+  }
+
+  document.getElementById('meta').textContent =
+    `${c.title || '(untitled)'} — ${c.url || ''} · ${new Date(c.at).toLocaleString()}`;
+
+  const width = c.width || 1;
+  const height = c.height || 1;
+  stage.style.aspectRatio = `${width} / ${height}`;
+  beforeImg.src = c.before;
+  afterImg.src = c.after;
+  alignBefore(c.aligned || {}, width, height);
+  drawBoxes(c.changes || [], c.masked || [], width, height);
+  renderVerdict({ ...c, changes: c.changes || [] });
+
+  mix.addEventListener('input', applyMix);
+  for (const btn of document.querySelectorAll('.mode')) {
+    btn.addEventListener('click', () => setMode(btn.dataset.mode));
+  }
+  document.getElementById('showBoxes').addEventListener('change', (e) => {
+    boxes.style.display = e.target.checked ? '' : 'none';
+  });
+
+  document.getElementById('viewer').hidden = false;
+  applyMix();
+})();
@@ -42,24 +42,329 @@
   const isInternalOrRestricted = (url) =>
     !url || BLOCKED_SCHEMES.some(p => url.startsWith(p));
 
+  // ---------- legends ----------
+
+  // Score tiers are fixed by scoring.js; only the % anchors are configurable
+  const renderScoreLegend = () => {
+    const { critical, warning } = TNScoring.TIER_CUTOFFS;
+    setText('legendBadgeCritical', `Critical: ≥ ${critical}`);
+    setText('legendBadgeWarning',  `Warning: ${warning}–${critical - 1}`);
+    setText('legendBadgeMinor',    `Minor: < ${warning}`);
+  };
+
+  // Upper bound of a tier, shown as e.g. "12–27.9" (one decimal below the next cutoff)
+  const below = (n) => Math.round((n - 0.1) * 10) / 10;
+
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  // Keep the legends in sync with the live thresholds used by monitor.js / analyzer.js
+  const renderLegends = (s) => {
+    setText('legendRegionCritical', `Critical: ≥ ${s.regionCritical}`);
+    setText('legendRegionWarning',  `Warning: ${s.regionWarning}–${below(s.regionCritical)}`);
+    setText('legendRegionMinor',    `Minor: < ${s.regionWarning}`);
+    setText('legendBadgeNote',
+      `Global % changed scores 30 at ${s.badgeWarning}% and 60 at ${s.badgeCritical}%; ` +
+      'central regions, tab and page changes add to it.');
+  };
+
+  // ---------- baseline age ----------
+
+  const formatAge = (ms) => {
+    const sec = Math.max(0, Math.round(ms / 1000));
+    if (sec < 60) return `${sec} s`;
+    const min = Math.floor(sec / 60);
+    if (min < 60) return `${min} min ${sec % 60} s`;
+    return `${Math.floor(min / 60)} h ${min % 60} min`;
+  };
+
+  const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+  // Stored baselines across all tabs against the budget from the options page
+  const renderMemory = (memory) => {
+    setText('memoryUsage', memory
+      ? `All tabs: ${memory.tabs} baseline${memory.tabs === 1 ? '' : 's'}, ${formatMB(memory.bytes)} of ${formatMB(memory.budget)}`
+      : '');
+  };
+
+  // A baseline older than a few capture intervals means captures stopped (suspension, capture errors)
+  const STALE_INTERVALS = 3;
+
+  const CHIP_CLASS = { critical: 'c-critical', warning: 'c-warn', minor: 'c-minor', safe: 'c-safe' };
+
+  // Same verdict the badge and the HUD show, from monitor.js
+  const renderVerdict = (verdict, at) => {
+    const group = document.getElementById('verdictGroup');
+    if (!group) return;
+    group.hidden = !verdict;
+    if (!verdict) return;
+
+    document.getElementById('verdictChip').className = `chip ${CHIP_CLASS[verdict.tier] || 'c-safe'}`;
+    const when = at ? ` · ${formatAge(Date.now() - at)} ago` : '';
+    setText('verdictHead', `${verdict.tier.toUpperCase()} — risk ${verdict.score}${when}`);
+
+    const list = document.getElementById('verdictReasons');
+    list.innerHTML = '';
+    for (const r of (verdict.reasons || []).slice(0, 5)) {
+      const li = document.createElement('li');
+      li.textContent = r.text;
+      list.appendChild(li);
+    }
+  };
+
+  const renderStatus = async (tabId) => {
+    const el = document.getElementById('baselineAge');
+    if (!el) return;
+
+    let status;
+    try {
+      status = await chrome.runtime.sendMessage({ type: 'tab:status', tabId });
+    } catch {
+      status = null;
+    }
+
+    renderVerdict(status?.verdict, status?.verdictAt);
+    renderMemory(status?.memory);
+    document.getElementById('compareBtn').disabled = !status?.hasComparison;
+
+    renderPause(!!status?.paused);
+
+    el.classList.remove('stale');
+    if (!status) {
+      el.textContent = 'Baseline: unavailable';
+    } else if (status.paused) {
+      el.textContent = 'Paused on this tab — not captured or compared';
+    } else if (status.neverCapture) {
+      el.textContent = 'Baseline: not captured (site rule)';
+    } else if (!status.hasBaseline) {
+      el.textContent = 'Baseline: none yet — keep the tab open a few seconds';
+    } else {
+      const age = Date.now() - status.capturedAt;
+      const stale = age > status.captureInterval * STALE_INTERVALS;
+      el.classList.toggle('stale', stale);
+      el.textContent = stale
+        ? `Baseline: ${formatAge(age)} old — protection lapsed`
+        : `Baseline: ${formatAge(age)} old`;
+    }
+  };
+
+  // ---------- enterprise policy ----------
+
+  const MANAGED_TITLE = 'Managed by your organization';
+
+  let policy = TNSettings.NO_POLICY;
+
+  // Unlocking puts back the button's own tooltip, or none
+  const lockButton = (btn, locked) => {
+    if (btn.dataset.title === undefined) btn.dataset.title = btn.title;
+    btn.disabled = locked;
+    if (locked) btn.title = MANAGED_TITLE;
+    else if (btn.dataset.title) btn.title = btn.dataset.title;
+    else btn.removeAttribute('title');
+  };
+
+  // Controls the policy takes away from the user, and a note saying so
+  const renderPolicy = () => {
+    lockButton(document.getElementById('clearBtn'), !policy.allowClearOverlays);
+    document.getElementById('policyNote').hidden =
+      policy.allowClearOverlays && policy.allowPause && !policy.neverCapture.length &&
+      !policy.monitored.length && !Object.keys(policy.settings).length;
+  };
+
+  // ---------- pause ----------
+
+  let paused = false;
+  let tabUrl = '';
+
+  const renderPause = (isPaused) => {
+    paused = isPaused;
+    const btn = document.getElementById('pauseBtn');
+    btn.classList.toggle('on', paused);
+    btn.textContent = paused ? 'Paused — resume' : 'Pause on this tab';
+    // Resuming is always allowed; sites the policy requires monitoring for can't be paused
+    lockButton(btn, !paused && (!policy.allowPause || TNSettings.isMonitored(tabUrl, policy)));
+  };
+
+  const PAUSE_ERRORS = {
+    policy: 'Pausing is turned off by your organization.',
+    monitored: 'Your organization requires monitoring on this site.'
+  };
+
+  document.getElementById('pauseBtn').addEventListener('click', async () => {
+    const tab = await fetchActiveTab();
+    if (!tab?.id) return;
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'tab:pause', tabId: tab.id, paused: !paused });
+      if (!res?.ok) {
+        setFeedback(PAUSE_ERRORS[res?.error] || `Could not pause: ${res?.error || 'no response'}`, 'error');
+      } else {
+        setFeedback(res.paused ? 'Paused on this tab.' : 'Monitoring this tab again.', 'success');
+      }
+    } catch (e) {
+      setFeedback(`Could not pause: ${e?.message || e}`, 'error');
+    }
+    await renderStatus(tab.id);
+  });
+
+  // ---------- per-site profile ----------
+
+  // Reflect the rule that governs the current tab and which one-click rule is set for its host
+  const renderSite = async (tab) => {
+    const trustBtn = document.getElementById('trustBtn');
+    const strictBtn = document.getElementById('strictBtn');
+    const host = TNSettings.hostOf(tab?.url);
+
+    if (!host || isInternalOrRestricted(tab.url)) {
+      setText('siteStatus', 'Not available on this page');
+      trustBtn.disabled = strictBtn.disabled = document.getElementById('pauseBtn').disabled = true;
+      return;
+    }
+
+    const rules = await TNSettings.loadRules();
+    const rule = TNSettings.ruleFor(tab.url, rules, policy);
+    const own = rules.find(r => r.pattern === host);
+    const monitored = TNSettings.isMonitored(tab.url, policy);
+
+    setText('siteStatus', rule?.managed
+      ? `${TNSettings.SITE_MODES[rule.mode]} (set by your organization)`
+      : rule
+        ? `${TNSettings.SITE_MODES[rule.mode]}${rule.pattern === host ? '' : ` (via ${rule.pattern})`}`
+        : monitored ? 'Monitoring required by your organization' : 'Default monitoring');
+
+    // A policy never-capture host ignores user rules; a monitored one can't be relaxed
+    lockButton(trustBtn, !!rule?.managed || monitored);
+    lockButton(strictBtn, !!rule?.managed);
+
+    trustBtn.classList.toggle('on', own?.mode === 'relaxed');
+    strictBtn.classList.toggle('on', own?.mode === 'strict');
+    trustBtn.textContent = own?.mode === 'relaxed' ? 'Trusted ✓' : 'Trust this site';
+    strictBtn.textContent = own?.mode === 'strict' ? 'Strict ✓' : 'Monitor strictly';
+  };
+
+  // Clicking an active profile again removes the host rule
+  const toggleSiteMode = async (mode) => {
+    const tab = await fetchActiveTab();
+    const host = TNSettings.hostOf(tab?.url);
+    if (!host) return;
+
+    try {
+      const rules = await TNSettings.loadRules();
+      const current = rules.find(r => r.pattern === host)?.mode;
+      const next = current === mode ? null : mode;
+      await TNSettings.setRule(host, next);
+      setFeedback(next ? `${host}: ${TNSettings.SITE_MODES[next].toLowerCase()}` : `${host}: default monitoring`, 'success');
+      await renderSite(tab);
+    } catch (e) {
+      setFeedback(`Could not update site rule: ${e?.message || e}`, 'error');
+    }
+  };
+
+  document.getElementById('trustBtn').addEventListener('click', () => toggleSiteMode('relaxed'));
+  document.getElementById('strictBtn').addEventListener('click', () => toggleSiteMode('strict'));
+
   // ---------- startup ----------
   const boot = async () => {
+    renderScoreLegend();
+    policy = await TNSettings.loadPolicy();
+    renderPolicy();
+    let userValues = TNSettings.DEFAULTS;
+    try {
+      userValues = await TNSettings.load();
+    } catch {
+      // defaults
+    }
+    renderLegends(TNSettings.withPolicy(userValues, policy));
+    TNSettings.watch((next) => {
+      userValues = next;
+      renderLegends(TNSettings.withPolicy(next, policy));
+    });
+    TNSettings.watchPolicy((next) => {
+      policy = next;
+      renderPolicy();
+      renderPause(paused);
+      renderLegends(TNSettings.withPolicy(userValues, policy));
+    });
+
     const tab = await fetchActiveTab();
+    tabUrl = tab?.url || '';
 
     if (!tab?.id) {
       setFeedback('Unable to detect active tab', 'error');
       const btn = document.getElementById('clearBtn');
       if (btn) btn.disabled = true;
+      document.getElementById('checkBtn').disabled = true;
       return;
     }
 
     if (isInternalOrRestricted(tab.url)) {
+      document.getElementById('checkBtn').disabled = true;
       setFeedback('Runs only on regular web pages.', 'info');
     } else {
       setFeedback('Ready.', 'info');
     }
+
+    await renderSite(tab);
+
+    if (!isInternalOrRestricted(tab.url)) {
+      await renderStatus(tab.id);
+      setInterval(() => renderStatus(tab.id), 1000);
+    } else {
+      setText('baselineAge', '');
+    }
+  };
+
+  // ---------- check now action ----------
+
+  const CHECK_ERRORS = {
+    'never-capture': 'This site is set to never capture.',
+    'capture-failed': 'Could not capture this tab.',
+    'no-baseline': 'No baseline yet — captured one now. Check again in a moment.',
+    rebaselined: 'The view changed (zoom, size or scroll) — took a fresh baseline instead.',
+    'analysis-failed': 'The analyzer did not answer in time. Try again.',
+    cancelled: 'Check cancelled — the tab lost focus.',
+    paused: 'Monitoring is paused on this tab.'
   };
 
+  const checkBtn = document.getElementById('checkBtn');
+  checkBtn.addEventListener('click', async () => {
+    const tab = await fetchActiveTab();
+    if (!tab?.id || isInternalOrRestricted(tab.url)) {
+      setFeedback('Runs only on regular web pages.', 'error');
+      return;
+    }
+
+    checkBtn.disabled = true;
+    const { fullPage } = TNSettings.withPolicy(await TNSettings.load().catch(() => TNSettings.DEFAULTS), policy);
+    // A full-page check scrolls the page; say so before it starts moving
+    setFeedback(fullPage === 'off' ? 'Checking…' : 'Checking the whole page — it scrolls while it runs…', 'info');
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'manual:check', tabId: tab.id });
+      if (res?.success) {
+        const { tier, score, reasons = [] } = res.verdict;
+        const top = reasons[0] ? ` — ${reasons[0].text}` : '';
+        setFeedback(
+          `${tier.toUpperCase()} (risk ${score}), ${res.regions} region${res.regions === 1 ? '' : 's'}${res.fullPage ? ' on the whole page' : ''}${top}`,
+          tier === 'critical' || tier === 'warning' ? 'error' : 'success'
+        );
+      } else {
+        setFeedback(CHECK_ERRORS[res?.error] || `Check failed: ${res?.error || 'no response'}`, 'error');
+      }
+    } catch (e) {
+      setFeedback(`Check failed: ${e?.message || e}`, 'error');
+    } finally {
+      checkBtn.disabled = false;
+      await renderStatus(tab.id);
+    }
+  });
+
+  document.getElementById('compareBtn').addEventListener('click', async () => {
+    const tab = await fetchActiveTab();
+    if (!tab?.id) return;
+    chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?tabId=${tab.id}`) });
+  });
+
   // ---------- clear overlays action ----------
   document.getElementById('clearBtn').addEventListener('click', async () => {
     const tab = await fetchActiveTab();
@@ -84,5 +389,21 @@
     }
   });
 
+  document.getElementById('optionsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById('historyLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+
+  // Rebinding lives on the browser's own page
+  document.getElementById('shortcutsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
   await boot();
 })();
@@ -0,0 +1,315 @@
+// Pixel-diff core: cached Lab conversion, sampling, union-find region labeling and a frame hash.
+// Plain functions over typed arrays in an ES module, so the offscreen analyzer, its Web Worker
+// (diffworker.js), the benchmark page (bench.html) and the command-line differ
+// (tools/tabnab-diff.mjs) all run the same code.
+
+// ---------- sRGB -> Lab ----------
+
+// sRGB channel -> linear light, one entry per 8-bit value
+const LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const x = i / 255;
+  LINEAR[i] = x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white
+const REF_X = 0.95047;
+const REF_Y = 1.00000;
+const REF_Z = 1.08883;
+
+const f = (t) => (t > 0.008856) ? Math.cbrt(t) : (7.787 * t + 16 / 116);
+
+// Direct-mapped cache of exact Lab values keyed by the 24-bit color. Screenshots reuse a small
+// palette (text, backgrounds, UI chrome), so most lookups hit; a miss just recomputes the slot.
+const CACHE_BITS = 16;
+const cacheTags = new Int32Array(1 << CACHE_BITS).fill(-1);
+const cacheLab = new Float32Array(3 << CACHE_BITS);
+
+// Slot offset into cacheLab for a packed pixel (R in the low byte, as in a Uint32 view of RGBA)
+const labSlot = (rgb) => {
+  const slot = Math.imul(rgb, 0x9E3779B1) >>> (32 - CACHE_BITS);
+  const o = slot * 3;
+  if (cacheTags[slot] !== rgb) {
+    const rl = LINEAR[rgb & 255];
+    const gl = LINEAR[(rgb >>> 8) & 255];
+    const bl = LINEAR[(rgb >>> 16) & 255];
+    const fx = f((rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375) / REF_X);
+    const fy = f((rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750) / REF_Y);
+    const fz = f((rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041) / REF_Z);
+    cacheLab[o] = 116 * fy - 16;        // L*
+    cacheLab[o + 1] = 500 * (fx - fy);  // a*
+    cacheLab[o + 2] = 200 * (fy - fz);  // b*
+    cacheTags[slot] = rgb;
+  }
+  return o;
+};
+
+// Euclidean Lab distance between two packed pixels; identical colors cost nothing
+const labDelta = (pa, pb) => {
+  const a = pa & 0xFFFFFF;
+  const b = pb & 0xFFFFFF;
+  if (a === b) return 0;
+  // Both colors may hash to the same slot: read the first before looking up the second
+  const oa = labSlot(a);
+  const L1 = cacheLab[oa], A1 = cacheLab[oa + 1], B1 = cacheLab[oa + 2];
+  const ob = labSlot(b);
+  const dL = L1 - cacheLab[ob];
+  const dA = A1 - cacheLab[ob + 1];
+  const dB = B1 - cacheLab[ob + 2];
+  return Math.sqrt(dL * dL + dA * dA + dB * dB);
+};
+
+const pixels32 = (data) => new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+
+// ---------- frames ----------
+
+// Copy a rectangle out of an RGBA frame; the frame itself when the rectangle covers it
+const crop = (img, x, y, w, h) => {
+  if (x === 0 && y === 0 && w === img.width && h === img.height) return img;
+  const src = pixels32(img.data);
+  const data = new Uint8ClampedArray(w * h * 4);
+  const dst = pixels32(data);
+  for (let row = 0; row < h; row++) {
+    const from = (y + row) * img.width + x;
+    dst.set(src.subarray(from, from + w), row * w);
+  }
+  return { data, width: w, height: h };
+};
+
+// Per-block channel sums over a HASH_GRID x HASH_GRID grid. Sums rather than a lossy
+// perceptual hash: equal hashes only happen for identical frames (or edits that cancel out
+// exactly in every block's R, G and B totals), so an early exit can't hide a real change.
+const HASH_GRID = 32;
+
+const frameHash = (img) => {
+  const { width, height } = img;
+  const px = pixels32(img.data);
+  const sums = new Float64Array(HASH_GRID * HASH_GRID * 3);
+
+  // Block column of every x, so the inner loop is lookups and adds only
+  const blockOf = new Int32Array(width);
+  for (let x = 0; x < width; x++) blockOf[x] = Math.min(HASH_GRID - 1, Math.floor(x * HASH_GRID / width)) * 3;
+
+  let i = 0;
+  for (let y = 0; y < height; y++) {
+    const rowBase = Math.min(HASH_GRID - 1, Math.floor(y * HASH_GRID / height)) * HASH_GRID * 3;
+    for (let x = 0; x < width; x++, i++) {
+      const v = px[i];
+      const o = rowBase + blockOf[x];
+      sums[o] += v & 255;
+      sums[o + 1] += (v >>> 8) & 255;
+      sums[o + 2] += (v >>> 16) & 255;
+    }
+  }
+  return sums;
+};
+
+const sameHash = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+};
+
+// ---------- sampling ----------
+
+// Lab distance at every `step`-th pixel of two equally sized frames. Samples flagged in
+// `masked` (volatility mask) go to `suppressed` and don't count toward the percentage.
+const sampleDeltas = (dataA, dataB, w, h, step, hitDelta, masked = null) => {
+  const pA = pixels32(dataA);
+  const pB = pixels32(dataB);
+  const rows = Math.ceil(h / step);
+  const cols = Math.ceil(w / step);
+
+  const marks = new Uint8Array(rows * cols);
+  const suppressed = new Uint8Array(rows * cols);
+  const deltas = new Float32Array(rows * cols);
+
+  let changed = 0;
+  let total = 0;
+
+  for (let y = 0, ry = 0; y < h; y += step, ry++) {
+    const base = y * w;
+    for (let x = 0, cx = 0; x < w; x += step, cx++) {
+      const idx = ry * cols + cx;
+      const d = labDelta(pA[base + x], pB[base + x]);
+      deltas[idx] = d;
+
+      if (masked?.[idx]) {
+        if (d >= hitDelta) suppressed[idx] = 1;
+        continue;
+      }
+      if (d >= hitDelta) {
+        marks[idx] = 1;
+        changed++;
+      }
+      total++;
+    }
+  }
+
+  return { marks, suppressed, deltas, rows, cols, approxPercent: total ? (changed / total) * 100 : 0 };
+};
+
+// ---------- labeling ----------
+
+// 4-connected components of the mark grid via two-pass union-find on typed arrays.
+// Returns bounding boxes in pixels (grid cells * step) with the strongest delta inside,
+// in scan order of each component's first cell.
+const labelRegions = (marks, deltas, rows, cols, step, minArea) => {
+  const n = rows * cols;
+  const labels = new Int32Array(n);
+  const parent = new Int32Array(n + 1);
+  let next = 1;
+
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+
+  // Pass 1: provisional labels, recording equivalences
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      if (!marks[i]) continue;
+      const up = r > 0 ? labels[i - cols] : 0;
+      const left = c > 0 ? labels[i - 1] : 0;
+
+      if (!up && !left) {
+        parent[next] = next;
+        labels[i] = next++;
+      } else if (up && left) {
+        const ru = find(up);
+        const rl = find(left);
+        const root = ru < rl ? ru : rl;
+        parent[ru] = root;
+        parent[rl] = root;
+        labels[i] = root;
+      } else {
+        labels[i] = up || left;
+      }
+    }
+  }
+
+  // Pass 2: bounding box and peak delta per root
+  const minR = new Int32Array(next).fill(rows);
+  const maxR = new Int32Array(next).fill(-1);
+  const minC = new Int32Array(next).fill(cols);
+  const maxC = new Int32Array(next).fill(-1);
+  const peak = new Float32Array(next);
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      if (!labels[i]) continue;
+      const root = find(labels[i]);
+      if (r < minR[root]) minR[root] = r;
+      if (r > maxR[root]) maxR[root] = r;
+      if (c < minC[root]) minC[root] = c;
+      if (c > maxC[root]) maxC[root] = c;
+      if (deltas[i] > peak[root]) peak[root] = deltas[i];
+    }
+  }
+
+  const out = [];
+  for (let l = 1; l < next; l++) {
+    if (parent[l] !== l || maxR[l] < 0) continue;
+    const w = (maxC[l] - minC[l] + 1) * step;
+    const h = (maxR[l] - minR[l] + 1) * step;
+    if (w * h >= minArea) {
+      out.push({ x: minC[l] * step, y: minR[l] * step, w, h, maxDiff: peak[l] });
+    }
+  }
+  return out;
+};
+
+// ---------- one comparison ----------
+
+// job: { a, b (RGBA bytes), width, height, step, hitDelta, minArea, masked? }
+// returns { approxPercent, rows, cols, deltas, regions, maskedRegions }
+const analyze = (job) => {
+  const { a, b, width, height, step, hitDelta, minArea, masked = null } = job;
+  const { marks, suppressed, deltas, rows, cols, approxPercent } =
+    sampleDeltas(a, b, width, height, step, hitDelta, masked);
+  return {
+    approxPercent,
+    rows,
+    cols,
+    deltas,
+    regions: labelRegions(marks, deltas, rows, cols, step, minArea),
+    maskedRegions: masked ? labelRegions(suppressed, deltas, rows, cols, step, minArea) : []
+  };
+};
+
+// ---------- severity ----------
+
+// Region severity from the maximum Lab distance inside it; cfg: { regionWarning, regionCritical }
+const levelFromDelta = (d, cfg) =>
+    d >= cfg.regionCritical ? 'critical'
+  : d >= cfg.regionWarning  ? 'warning'
+  : 'minor';
+
+// Overlay and heatmap tints per level, as RGB
+const LEVEL_COLORS = {
+  minor:    [255, 167, 38],
+  warning:  [255, 107, 53],
+  critical: [233, 30, 99]
+};
+
+// Two equally sized RGBA frames ({ data, width, height }) -> { mismatch, changes, width, height },
+// the shape monitor.js scores. Without the analyzer's alignment, volatility mask and Resemble.js,
+// mismatch is the sampled estimate.
+// cfg: { sampleStep, hitDelta, minRegionArea, regionWarning, regionCritical }
+const compareFrames = (imgA, imgB, cfg) => {
+  const { width, height } = imgB;
+  if (imgA.width !== width || imgA.height !== height) {
+    throw new Error(`frame sizes differ: ${imgA.width}x${imgA.height} vs ${width}x${height}`);
+  }
+  const { approxPercent, regions } = analyze({
+    a: imgA.data,
+    b: imgB.data,
+    width,
+    height,
+    step: Math.max(1, Math.round(cfg.sampleStep)),
+    hitDelta: cfg.hitDelta,
+    minArea: cfg.minRegionArea
+  });
+  return {
+    mismatch: approxPercent,
+    changes: regions.map(r => ({ ...r, level: levelFromDelta(r.maxDiff, cfg) })),
+    width,
+    height
+  };
+};
+
+// ---------- volatility learning ----------
+
+// Cells (in full-frame coordinates) holding at least one changed sample; coarser than a comparison
+const hotCells = (pair, cell, step, hitDelta) => {
+  const { width, height, dataA, dataB, x0, y0, fullW, fullH } = pair;
+  const cols = Math.ceil(fullW / cell);
+  const rows = Math.ceil(fullH / cell);
+  const hot = new Uint8Array(cols * rows);
+  const pA = pixels32(dataA.data);
+  const pB = pixels32(dataB.data);
+
+  for (let y = 0; y < height; y += step) {
+    const row = Math.floor((y0 + y) / cell) * cols;
+    for (let x = 0; x < width; x += step) {
+      const i = row + Math.floor((x0 + x) / cell);
+      if (hot[i]) continue;
+      const off = y * width + x;
+      if (labDelta(pA[off], pB[off]) >= hitDelta) hot[i] = 1;
+    }
+  }
+
+  const out = [];
+  for (let i = 0; i < hot.length; i++) if (hot[i]) out.push(i);
+  return { cols, rows, width: fullW, hot: out };
+};
+
+export {
+  labDelta, crop, frameHash, sameHash, sampleDeltas, labelRegions, analyze, hotCells,
+  levelFromDelta, LEVEL_COLORS, compareFrames
+};
@@ -0,0 +1,13 @@
+// Module Web Worker for the offscreen analyzer: runs one TNDiff.analyze job off the page's main
+// thread. Pixel buffers arrive transferred; the delta grid goes back the same way.
+
+import * as TNDiff from './diffcore.mjs';
+
+self.onmessage = ({ data: job }) => {
+  try {
+    const result = TNDiff.analyze(job);
+    self.postMessage({ id: job.id, ...result }, [result.deltas.buffer]);
+  } catch (err) {
+    self.postMessage({ id: job.id, error: String(err?.message || err) });
+  }
+};
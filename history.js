@@ -0,0 +1,140 @@
+(async () => {
+  const TIER_RANK = { safe: 0, minor: 1, warning: 2, critical: 3 };
+
+  let incidents = [];
+
+  const siteFilter = document.getElementById('siteFilter');
+  const tierFilter = document.getElementById('tierFilter');
+  const listEl = document.getElementById('list');
+
+  // ---------- filtering ----------
+
+  const filtered = () => {
+    const site = siteFilter.value.trim().toLowerCase();
+    const minRank = TIER_RANK[tierFilter.value] ?? 0;
+    return incidents.filter(i =>
+      (TIER_RANK[i.tier] ?? 0) >= minRank &&
+      (!site || (i.host || '').includes(site) || (i.url || '').toLowerCase().includes(site))
+    );
+  };
+
+  // ---------- rendering ----------
+
+  // Page-supplied strings (titles, URLs, reasons) only ever go in through textContent props
+  const el = (tag, props = {}, children = []) => {
+    const node = Object.assign(document.createElement(tag), props);
+    for (const c of children) if (c) node.append(c);
+    return node;
+  };
+
+  const thumb = (label, src) => el('figure', {}, [
+    el('figcaption', { textContent: label }),
+    src ? el('img', { src, alt: `${label} capture` }) : el('div', { className: 'muted', textContent: 'No image' })
+  ]);
+
+  // What the user picked on the in-page input guard (monitor.js records it)
+  const GUARD_CHOICES = {
+    continue: 'continued anyway',
+    back: 'went back',
+    close: 'closed the tab'
+  };
+
+  const renderIncident = (i) => {
+    const summary = el('summary', {}, [
+      el('span', { className: `chip c-${i.tier}` }),
+      el('span', { textContent: new Date(i.at).toLocaleString() }),
+      el('span', { className: 'site' }, [
+        el('b', { textContent: i.host || '(unknown site)' }),
+        el('span', { textContent: i.title || '' })
+      ]),
+      el('span', { className: 'tier', textContent: `${i.tier} · ${i.score ?? 0}` }),
+      el('span', { textContent: `${(i.mismatch || 0).toFixed(1)}% · ${i.changes?.length || 0}` })
+    ]);
+
+    const reasons = el('ul', {}, (i.reasons || []).map(r => el('li', { textContent: `${r.text} (+${r.points})` })));
+
+    const detail = el('div', { className: 'detail' }, [
+      el('div', { className: 'url', textContent: i.url }),
+      i.reasons?.length ? reasons : el('div', { textContent: 'No notable changes.' }),
+      i.guard ? el('div', {
+        className: 'guard',
+        textContent: `Input guard: ${GUARD_CHOICES[i.guard.choice] || i.guard.choice} at ${new Date(i.guard.at).toLocaleTimeString()}`
+      }) : null,
+      el('div', { className: 'thumbs' }, [
+        thumb('Before', i.thumbnails?.before),
+        thumb('After', i.thumbnails?.after)
+      ])
+    ]);
+
+    return el('details', { className: 'incident' }, [summary, detail]);
+  };
+
+  const render = () => {
+    const rows = filtered();
+    listEl.innerHTML = '';
+    if (!rows.length) {
+      listEl.append(el('div', {
+        className: 'empty',
+        textContent: incidents.length ? 'No incidents match the filters.' : 'No incidents recorded yet.'
+      }));
+    } else {
+      listEl.append(...rows.map(renderIncident));
+    }
+    document.getElementById('summary').textContent =
+      `${rows.length} of ${incidents.length} incident${incidents.length === 1 ? '' : 's'}`;
+  };
+
+  const load = async () => {
+    try {
+      incidents = await TNIncidents.list();
+    } catch (e) {
+      incidents = [];
+      listEl.textContent = `Could not read history: ${e?.message || e}`;
+      return;
+    }
+    render();
+  };
+
+  // ---------- actions ----------
+
+  siteFilter.addEventListener('input', render);
+  tierFilter.addEventListener('change', render);
+
+  // Exports what the filters currently show
+  document.getElementById('exportBtn').addEventListener('click', () => {
+    const blob = new Blob([TNIncidents.toJson(filtered())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = el('a', {
+      href: url,
+      download: `tabnabbing-incidents-${new Date().toISOString().slice(0, 10)}.json`
+    });
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById('clearBtn').addEventListener('click', async () => {
+    if (!confirm('Delete all recorded incidents? This cannot be undone.')) return;
+    await TNIncidents.clear();
+    await load();
+  });
+
+  // ---------- startup ----------
+
+  try {
+    const s = TNSettings.withPolicy(await TNSettings.load(), await TNSettings.loadPolicy());
+    const retention = document.getElementById('retention');
+    retention.textContent = `Keeping up to ${s.historyMaxEntries} incidents for ${s.historyMaxDays} days. `;
+    const link = el('a', { href: '#', textContent: 'Change retention' });
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    retention.append(link);
+  } catch {
+    // retention note is informational only
+  }
+
+  await load();
+})();
@@ -0,0 +1,75 @@
+// Incident history: every comparison result, kept in IndexedDB (store.js) for later review.
+// Loaded by the service worker (importScripts) and the history page.
+
+const TNIncidents = (() => {
+  'use strict';
+
+  const STORE = 'incidents';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const THUMB_WIDTH = 320;     // downscaled before/after previews
+  const THUMB_QUALITY = 0.7;   // JPEG quality for previews
+
+  const blobToDataUrl = (blob) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+
+  // Small JPEG data URL of a capture; null when the image can't be decoded
+  const thumbnail = async (dataUrl) => {
+    if (!dataUrl) return null;
+    try {
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      const scale = Math.min(1, THUMB_WIDTH / bitmap.width);
+      const w = Math.max(1, Math.round(bitmap.width * scale));
+      const h = Math.max(1, Math.round(bitmap.height * scale));
+      const canvas = new OffscreenCanvas(w, h);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, w, h);
+      bitmap.close();
+      return blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: THUMB_QUALITY }));
+    } catch {
+      return null;
+    }
+  };
+
+  // Drop entries older than maxDays, then the oldest beyond maxEntries
+  const prune = async ({ maxEntries, maxDays }) => {
+    const expired = await TNStore.keysByIndex(STORE, 'at', IDBKeyRange.upperBound(Date.now() - maxDays * DAY_MS));
+    await TNStore.delMany(STORE, expired);
+
+    const keys = await TNStore.keysByIndex(STORE, 'at');
+    if (keys.length > maxEntries) {
+      await TNStore.delMany(STORE, keys.slice(0, keys.length - maxEntries));
+    }
+  };
+
+  // Resolves with the new entry's id
+  const record = async (entry, retention) => {
+    const id = await TNStore.put(STORE, entry);
+    await prune(retention);
+    return id;
+  };
+
+  // Merge fields into an existing entry (e.g. what the user did at the input guard); gone if pruned
+  const annotate = async (id, fields) => {
+    const entry = await TNStore.get(STORE, id);
+    if (entry) await TNStore.put(STORE, { ...entry, ...fields });
+  };
+
+  // Newest first
+  const list = async () => (await TNStore.getAll(STORE)).sort((a, b) => b.at - a.at);
+
+  const clear = () => TNStore.clear(STORE);
+
+  const toJson = (entries) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    count: entries.length,
+    incidents: entries
+  }, null, 2);
+
+  return { thumbnail, record, annotate, prune, list, clear, toJson };
+})();
@@ -1,7 +1,21 @@
 // Service worker: takes periodic snapshots, compares via an offscreen analyzer, then updates badge + page overlays.
 
-const CAPTURE_INTERVAL = 3500;   // how often we refresh the baseline for the active tab
-const COMPARISON_DELAY = 150;    // small settle time after the tab regains focus
+importScripts('settings.js', 'store.js', 'scoring.js', 'incidents.js', 'reporting.js');
+
+// Live detection settings (see settings.js); replaced whenever the options page saves.
+// `settings` is what applies: the user's values with any locked by enterprise policy on top.
+let settings = TNSettings.DEFAULTS;
+let userSettings = TNSettings.DEFAULTS;
+let siteRules = [];
+let policy = TNSettings.NO_POLICY;
+const settingsReady = Promise.all([TNSettings.load(), TNSettings.loadRules(), TNSettings.loadPolicy()])
+  .then(([s, rules, managed]) => {
+    siteRules = rules;
+    policy = managed;
+    userSettings = s;
+    applySettings(TNSettings.withPolicy(s, policy));
+  })
+  .catch(e => console.warn('[monitor] settings load failed:', e?.message || e));
 
 // Broader “don’t capture here” set (internal/privileged or unreliable contexts)
 const BLOCKED_SCHEMES = [
@@ -24,15 +38,40 @@ const BLOCKED_SCHEMES = [
   'blob:'
 ];
 
-// Per-tab runtime state
-// tabId -> { snapshot: string|null, isActive: boolean, loop?: number }
+// Per-tab runtime state, mirrored to storage so it survives service-worker suspension:
+// metadata in chrome.storage.session, baseline images and volatility masks in IndexedDB (store.js).
+// Images never live here: `baseline`, `page` (full-page baseline) and `comparison` (the pair kept
+// for compare.html) only record the stored size for the memory budget.
+// tabId -> { baseline: { bytes }|null, geometry: object|null, isActive: boolean, lastCapture: number,
+//           lastResult: object|null, url, title, favIconUrl, seen, hiddenSignals: [],
+//           heldJournal: [], lastNotified: number, mask: object|null,
+//           page: { bytes, capturedAt, height, geometry }|null, comparison: { bytes }|null,
+//           paused: boolean, sweeping?: boolean, loop?: number }
 const tabState = new Map();
 
+const SESSION_KEY = 'tabMeta';
+const WATCHDOG_ALARM = 'tn-capture-watchdog';
+const WATCHDOG_PERIOD_MIN = 0.5;  // chrome.alarms minimum; wakes a suspended worker
+const REPORT_ALARM = 'tn-report-retry';
+const REPORT_ALARM_MIN_MS = 30 * 1000;  // chrome.alarms minimum delay
+
+const MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
 // ---------- small helpers ----------
 
 const isNonCapturableUrl = (url) =>
   !url || BLOCKED_SCHEMES.some(prefix => url.startsWith(prefix));
 
+// Site rule for a URL (see settings.js); "never" rules opt the origin out of capture entirely.
+// Policy site lists take precedence over the user's rules.
+const siteRuleFor = (url) => TNSettings.ruleFor(url, siteRules, policy);
+
+const isNeverCapture = (url) => siteRuleFor(url)?.mode === 'never';
+
+// Global settings with the site's sensitivity profile applied
+const settingsFor = (url) => TNSettings.forRule(settings, siteRuleFor(url));
+
 const getTabSafe = async (tabId) => {
   try {
     return await chrome.tabs.get(tabId);
@@ -42,11 +81,15 @@ const getTabSafe = async (tabId) => {
 };
 
 // Centralized screenshotter (returns data URL or null on benign issues)
+let lastSnapAt = 0;  // Chrome allows two captureVisibleTab calls per second (see full-page capture)
+
 const snapVisible = async (tabId) => {
   const tab = await getTabSafe(tabId);
-  if (!tab || !tab.active || isNonCapturableUrl(tab.url)) return null;
+  if (!tab || !tab.active || isNonCapturableUrl(tab.url) || isNeverCapture(tab.url)) return null;
+  if (tabState.get(tabId)?.paused) return null;
 
   try {
+    lastSnapAt = Date.now();
     return await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
   } catch (err) {
     // Reframe: treat these as routine/transient conditions not worth logging as “real” errors
@@ -71,6 +114,445 @@ const snapVisible = async (tabId) => {
   }
 };
 
+// ---------- persistence ----------
+
+const newState = (isActive) => ({
+  baseline: null,
+  geometry: null,
+  isActive,
+  lastCapture: 0,
+  lastResult: null,
+  url: '',
+  title: '',
+  favIconUrl: '',
+  seen: false,
+  hiddenSignals: [],
+  heldJournal: [],
+  lastNotified: 0,
+  mask: null,
+  page: null,
+  comparison: null,
+  paused: false
+});
+
+// Write the small per-tab flags; images are persisted separately
+const persistMeta = async () => {
+  const meta = {};
+  for (const [tabId, st] of tabState.entries()) {
+    meta[tabId] = {
+      baseline: st.baseline || null,
+      geometry: st.geometry || null,
+      isActive: !!st.isActive,
+      lastCapture: st.lastCapture || 0,
+      lastResult: st.lastResult || null,
+      url: st.url || '',
+      title: st.title || '',
+      favIconUrl: st.favIconUrl || '',
+      seen: !!st.seen,
+      hiddenSignals: st.hiddenSignals || [],
+      heldJournal: st.heldJournal || [],
+      lastNotified: st.lastNotified || 0,
+      page: st.page || null,
+      comparison: st.comparison || null,
+      paused: !!st.paused
+    };
+  }
+  try {
+    await chrome.storage.session.set({ [SESSION_KEY]: meta });
+  } catch (e) {
+    console.warn('[monitor] session persist failed:', e?.message || e);
+  }
+};
+
+// ---------- baseline frames ----------
+
+// Captures arrive as PNG data URLs (a third larger than the bytes they encode). They are kept as
+// PNG blobs in IndexedDB, optionally scaled down first; the analyzer still takes data URLs, so a
+// baseline is re-encoded only when it is compared.
+const blobToDataUrl = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'image/png'};base64,${btoa(bin)}`;
+};
+
+// { image, blob } at the configured baseline scale; every capture goes through here, so a
+// baseline and the frame it is compared with always share one resolution
+const compactFrame = async (dataUrl, scale) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  if (!(scale < 1)) return { image: dataUrl, blob };
+
+  const bitmap = await createImageBitmap(blob);
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const scaled = await canvas.convertToBlob({ type: 'image/png' });
+  return { image: await blobToDataUrl(scaled), blob: scaled };
+};
+
+// The capture loop diffs every new frame against the previous one, so the latest baseline
+// stays decoded; all others are read back from IndexedDB on demand
+let recentFrame = null;  // { tabId, image }
+
+// Baseline of a tab as a data URL, or null
+const loadBaseline = async (tabId) => {
+  if (recentFrame?.tabId === tabId) return recentFrame.image;
+  try {
+    const rec = await TNStore.get('baselines', tabId);
+    return rec?.blob ? await blobToDataUrl(rec.blob) : null;
+  } catch (e) {
+    console.warn('[monitor] baseline read failed:', e?.message || e);
+    return null;
+  }
+};
+
+// Bytes a tab holds in IndexedDB: baselines (viewport and full-page) and the last comparison pair
+const heldBytes = (st) => (st.baseline?.bytes || 0) + (st.page?.bytes || 0) + (st.comparison?.bytes || 0);
+
+// Bytes held by all stored baselines and comparison pairs
+const baselineUsage = () => {
+  let bytes = 0;
+  let tabs = 0;
+  for (const st of tabState.values()) {
+    if (!heldBytes(st)) continue;
+    bytes += heldBytes(st);
+    tabs++;
+  }
+  return { bytes, tabs };
+};
+
+// Over budget: drop baselines of the least recently viewed tabs (lastCapture only advances
+// while a tab is active) until the total fits; the tab in front of the user is never dropped
+const enforceBudget = async () => {
+  const budget = settings.memoryBudget * MB;
+  let { bytes } = baselineUsage();
+  if (bytes <= budget) return;
+
+  const idle = [...tabState.entries()]
+    .filter(([, st]) => heldBytes(st) && !st.isActive)
+    .sort(([, a], [, b]) => a.lastCapture - b.lastCapture);
+  for (const [tabId, st] of idle) {
+    if (bytes <= budget) break;
+    bytes -= heldBytes(st);
+    await dropBaseline(tabId, st);
+  }
+};
+
+// Tabs nobody looked at for baselineMaxIdle hours come back without a comparison
+const expireIdle = async () => {
+  const cutoff = Date.now() - settings.baselineMaxIdle * HOUR_MS;
+  for (const [tabId, st] of tabState.entries()) {
+    if ((st.baseline || st.page) && !st.isActive && st.lastCapture < cutoff) await dropBaseline(tabId, st);
+  }
+};
+
+// shot: { image, blob, geometry } from captureWithGeometry
+const saveBaseline = async (tabId, st, shot) => {
+  st.baseline = { bytes: shot.blob.size };
+  st.geometry = shot.geometry || null;
+  st.lastCapture = Date.now();
+  tabState.set(tabId, st);
+  recentFrame = { tabId, image: shot.image };
+  try {
+    await TNStore.put('baselines', { tabId, blob: shot.blob, geometry: st.geometry, capturedAt: st.lastCapture });
+  } catch (e) {
+    console.warn('[monitor] baseline persist failed:', e?.message || e);
+  }
+  await persistMeta();
+  await enforceBudget();
+};
+
+const dropBaseline = async (tabId, st) => {
+  if (st) {
+    st.baseline = null;
+    st.geometry = null;
+    st.lastCapture = 0;
+  }
+  if (recentFrame?.tabId === tabId) recentFrame = null;
+  try {
+    await Promise.all([
+      TNStore.del('baselines', tabId),
+      TNStore.del('comparisons', tabId),
+      TNStore.del('masks', tabId),
+      TNStore.del('pages', tabId)
+    ]);
+  } catch {
+    // nothing stored
+  }
+  if (st) {
+    st.mask = null;
+    st.page = null;
+    st.comparison = null;
+  }
+  if (st?.lastResult) st.lastResult.compared = false;
+  await persistMeta();
+};
+
+// Rebuild tabState after a worker (re)start; stale entries for closed tabs are discarded
+const hydrate = async () => {
+  const [stored, baselines, tabs] = await Promise.all([
+    chrome.storage.session.get(SESSION_KEY),
+    TNStore.keys('baselines').catch(() => []),
+    chrome.tabs.query({})
+  ]);
+  const live = new Set(tabs.map(t => t.id));
+  const meta = stored?.[SESSION_KEY];
+
+  // Session storage is wiped on browser restart and extension reload, when tab ids may be reused:
+  // baselines left in IndexedDB from an earlier session would belong to unrelated tabs
+  if (!meta) {
+    await Promise.all([
+      TNStore.clear('baselines').catch(() => {}),
+      TNStore.clear('comparisons').catch(() => {}),
+      TNStore.clear('masks').catch(() => {}),
+      TNStore.clear('pages').catch(() => {})
+    ]);
+    return;
+  }
+
+  for (const [id, m] of Object.entries(meta)) {
+    const tabId = Number(id);
+    if (!live.has(tabId) || tabState.has(tabId)) continue;
+    tabState.set(tabId, {
+      ...newState(!!m.isActive),
+      baseline: m.baseline || null,
+      geometry: m.geometry || null,
+      lastCapture: m.lastCapture || 0,
+      lastResult: m.lastResult || null,
+      url: m.url || '',
+      title: m.title || '',
+      favIconUrl: m.favIconUrl || '',
+      seen: !!m.seen,
+      hiddenSignals: m.hiddenSignals || [],
+      heldJournal: m.heldJournal || [],
+      lastNotified: m.lastNotified || 0,
+      page: m.page || null,
+      comparison: m.comparison || null,
+      paused: !!m.paused
+    });
+  }
+
+  // Only keys are read: the blobs stay on disk until a comparison needs one. A record the
+  // metadata doesn't account for (closed tab, or stored as a data URL by an older version) goes.
+  for (const tabId of baselines) {
+    if (!tabState.get(tabId)?.baseline) TNStore.del('baselines', tabId).catch(() => {});
+  }
+  const onDisk = new Set(baselines);
+  for (const [tabId, st] of tabState.entries()) {
+    if (st.baseline && !onDisk.has(tabId)) st.baseline = null;
+  }
+
+  // Comparison pairs are only read by compare.html; drop the ones the metadata doesn't account for
+  const compared = await TNStore.keys('comparisons').catch(() => []);
+  for (const tabId of compared) {
+    if (!tabState.get(tabId)?.comparison) TNStore.del('comparisons', tabId).catch(() => {});
+  }
+  const comparedOnDisk = new Set(compared);
+  for (const [tabId, st] of tabState.entries()) {
+    if (st.comparison && !comparedOnDisk.has(tabId)) st.comparison = null;
+  }
+
+  const masks = await TNStore.getAll('masks').catch(() => []);
+  for (const { tabId, ...mask } of masks) {
+    const st = tabState.get(tabId);
+    if (st) st.mask = mask;
+    else TNStore.del('masks', tabId).catch(() => {});
+  }
+
+  const pages = await TNStore.keys('pages').catch(() => []);
+  for (const tabId of pages) {
+    if (!tabState.get(tabId)?.page) TNStore.del('pages', tabId).catch(() => {});
+  }
+  const pagesOnDisk = new Set(pages);
+  for (const [tabId, st] of tabState.entries()) {
+    if (st.page && !pagesOnDisk.has(tabId)) st.page = null;
+  }
+};
+
+// ---------- page geometry ----------
+
+// Scroll offset and viewport from the content script plus the browser zoom factor.
+// Null when the page can't answer (no content script yet, restricted page).
+const probeGeometry = async (tabId) => {
+  try {
+    const [page, zoom] = await Promise.all([
+      chrome.tabs.sendMessage(tabId, { type: 'geometry:probe' }),
+      chrome.tabs.getZoom(tabId)
+    ]);
+    return page ? { ...page, zoom } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Screenshot at baseline scale plus the geometry it was taken at; null when the capture failed
+const captureWithGeometry = async (tabId) => {
+  const geometry = await probeGeometry(tabId);
+  const dataUrl = await snapVisible(tabId);
+  if (!dataUrl) return null;
+  try {
+    return { ...await compactFrame(dataUrl, Number(settings.baselineScale)), geometry };
+  } catch (e) {
+    console.warn('[monitor] frame encode failed:', e?.message || e);
+    return null;
+  }
+};
+
+// Frames taken at a different zoom, pixel ratio or viewport size can't be aligned; scroll can
+const sameViewport = (a, b) => {
+  if (!a || !b) return true;  // unknown geometry: let the analyzer's size check decide
+  return a.zoom === b.zoom &&
+         a.dpr === b.dpr &&
+         a.innerWidth === b.innerWidth &&
+         a.innerHeight === b.innerHeight;
+};
+
+// ---------- full-page capture ----------
+
+// captureVisibleTab only sees the viewport. A full-page frame is taken by scrolling the page one
+// screen at a time (visualizer.js hides fixed and sticky elements after the first screen),
+// capturing each screen and stitching them top to bottom. Its regions are in document
+// coordinates. Used for manual checks, and on return to high-sensitivity sites when
+// fullPage is 'strict'; those sites get a page baseline while the user leaves the page alone.
+const FULLPAGE_MAX_TILES = 8;            // screens per frame; longer pages are cut off
+const FULLPAGE_MAX_SCALE = 0.5;          // tall frames are stored and compared at half size or less
+const FULLPAGE_CAPTURE_GAP_MS = 550;
+const FULLPAGE_REFRESH_MS = 10 * 60 * 1000;
+const FULLPAGE_IDLE_MS = 3000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether a check of this tab compares full-page frames
+const fullPageFor = (url, manual) => {
+  if (settings.fullPage === 'off') return false;
+  return manual || (settings.fullPage === 'strict' && siteRuleFor(url)?.mode === 'strict');
+};
+
+// Scroll, capture and stitch the page. `height` (capture px) fixes the frame height, so a
+// return frame matches its baseline even when the page grew or shrank; missing rows stay white.
+// Resolves { image, blob, geometry } or null when the tab went away or can't be captured.
+const captureFullPage = async (tabId, st, height = 0) => {
+  const zoom = await chrome.tabs.getZoom(tabId).catch(() => null);
+  let plan;
+  try {
+    plan = await chrome.tabs.sendMessage(tabId, { type: 'fullpage:begin' });
+  } catch {
+    return null;
+  }
+  if (!plan?.innerHeight) return null;
+
+  st.sweeping = true;
+  const tiles = [];
+  try {
+    for (let y = 0, i = 0; i < FULLPAGE_MAX_TILES; i++) {
+      const at = await chrome.tabs.sendMessage(tabId, { type: 'fullpage:scroll', y, hideFixed: i > 0 });
+      // The user switched away mid-sweep: a partial frame is no use
+      if (!at || !st.isActive) return null;
+      await sleep(FULLPAGE_CAPTURE_GAP_MS - (Date.now() - lastSnapAt));
+      const dataUrl = await snapVisible(tabId);
+      if (!dataUrl) return null;
+      tiles.push({ scrollY: at.scrollY, bitmap: await createImageBitmap(await (await fetch(dataUrl)).blob()) });
+
+      // The last screen is reached when scrolling no longer moves the page
+      y = at.scrollY + plan.innerHeight;
+      if (y >= at.pageHeight || (i > 0 && at.scrollY === tiles[i - 1].scrollY)) break;
+    }
+    return await stitch(tiles, plan, zoom, height);
+  } catch (e) {
+    console.warn('[monitor] full-page capture failed:', e?.message || e);
+    return null;
+  } finally {
+    st.sweeping = false;
+    chrome.tabs.sendMessage(tabId, { type: 'fullpage:end' }).catch(() => {});
+    for (const t of tiles) t.bitmap.close();
+  }
+};
+
+// One frame from the screens, each drawn below what the previous ones already covered
+const stitch = async (tiles, plan, zoom, height) => {
+  const first = tiles[0].bitmap;
+  const k = first.width / plan.innerWidth;   // capture px per CSS px
+  const scale = Math.min(Number(settings.baselineScale), FULLPAGE_MAX_SCALE);
+  const last = tiles[tiles.length - 1];
+  const covered = Math.round((last.scrollY * k + last.bitmap.height) * scale);
+
+  const width = Math.max(1, Math.round(first.width * scale));
+  const frameHeight = Math.max(1, height || covered);
+  const canvas = new OffscreenCanvas(width, frameHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, frameHeight);
+  ctx.imageSmoothingQuality = 'high';
+
+  let bottom = 0;  // CSS px already drawn
+  for (const { scrollY, bitmap } of tiles) {
+    const from = Math.max(0, bottom - scrollY);   // CSS px into this screen
+    const rows = plan.innerHeight - from;
+    if (rows <= 0) continue;
+    ctx.drawImage(bitmap,
+      0, from * k, bitmap.width, rows * k,
+      0, (scrollY + from) * k * scale, width, rows * k * scale);
+    bottom = scrollY + plan.innerHeight;
+  }
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return {
+    image: await blobToDataUrl(blob),
+    blob,
+    height: frameHeight,
+    geometry: {
+      scrollX: 0,
+      scrollY: 0,
+      innerWidth: plan.innerWidth,
+      innerHeight: plan.innerHeight,
+      dpr: plan.dpr,
+      zoom,
+      pageHeight: plan.pageHeight,
+      fullPage: true
+    }
+  };
+};
+
+// Full-page baselines live in their own store and count toward the baseline budget
+const savePage = async (tabId, st, shot) => {
+  st.page = { bytes: shot.blob.size, capturedAt: Date.now(), height: shot.height, geometry: shot.geometry };
+  try {
+    await TNStore.put('pages', { tabId, blob: shot.blob, geometry: shot.geometry, capturedAt: st.page.capturedAt });
+  } catch (e) {
+    console.warn('[monitor] page baseline persist failed:', e?.message || e);
+  }
+  await persistMeta();
+  await enforceBudget();
+};
+
+const loadPage = async (tabId) => {
+  try {
+    const rec = await TNStore.get('pages', tabId);
+    return rec?.blob ? await blobToDataUrl(rec.blob) : null;
+  } catch (e) {
+    console.warn('[monitor] page baseline read failed:', e?.message || e);
+    return null;
+  }
+};
+
+// Capture loop hook: refresh the page baseline of a high-sensitivity tab when it is missing or
+// stale and the user has left the page alone for a moment
+const maybeSweep = async (tabId, st, geometry) => {
+  if (st.sweeping || (geometry?.idleMs ?? 0) < FULLPAGE_IDLE_MS) return;
+  if (st.page && Date.now() - st.page.capturedAt < FULLPAGE_REFRESH_MS) return;
+  const tab = await getTabSafe(tabId);
+  if (!tab || !fullPageFor(tab.url, false)) return;
+  const shot = await captureFullPage(tabId, st);
+  if (shot) await savePage(tabId, st, shot);
+};
+
 const stopLoop = (tabId) => {
   const st = tabState.get(tabId);
   if (st?.loop) {
@@ -79,17 +561,99 @@ const stopLoop = (tabId) => {
   }
 };
 
+// The interval only lives as long as the worker; the watchdog alarm below re-arms it after a restart
 const startLoop = (tabId) => {
   stopLoop(tabId);
-  const st = tabState.get(tabId) ?? { snapshot: null, isActive: true };
+  const st = tabState.get(tabId) ?? newState(true);
   st.loop = setInterval(async () => {
-    if (!st.isActive) return;
-    const shot = await snapVisible(tabId);
-    if (shot) st.snapshot = shot;
-  }, CAPTURE_INTERVAL);
+    if (!st.isActive || st.sweeping || st.paused) return;
+    const shot = await captureWithGeometry(tabId);
+    if (!shot) return;
+    const previous = { image: st.baseline && await loadBaseline(tabId), geometry: st.geometry, at: st.lastCapture };
+    await saveBaseline(tabId, st, shot);
+    await learnVolatility(tabId, st, previous, shot);
+    await maybeSweep(tabId, st, shot.geometry);
+  }, settings.captureInterval);
   tabState.set(tabId, st);
 };
 
+// Make sure the focused window's active tab is looping and has a fresh-enough baseline
+const resumeActive = async () => {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab?.id) return;
+
+  const st = tabState.get(tab.id) ?? newState(true);
+  tabState.set(tab.id, st);
+  if (!st.isActive || st.paused) return;  // a return comparison is still owed; onActivated handles it
+
+  if (!st.loop) startLoop(tab.id);
+  if (Date.now() - (st.lastCapture || 0) >= settings.captureInterval) {
+    const shot = await captureWithGeometry(tab.id);
+    if (shot) await saveBaseline(tab.id, st, shot);
+  }
+};
+
+// Re-arm running loops so a new capture interval applies without a reload
+const restartLoops = () => {
+  for (const [tabId, st] of tabState.entries()) {
+    if (st.loop) startLoop(tabId);
+  }
+};
+
+const applySettings = (next) => {
+  const intervalChanged = next.captureInterval !== settings.captureInterval;
+  const limitsTightened = next.memoryBudget < settings.memoryBudget || next.baselineMaxIdle < settings.baselineMaxIdle;
+  const reportingChanged = next.reportTier !== settings.reportTier || next.reportUrl !== settings.reportUrl;
+  settings = next;
+  if (intervalChanged) restartLoops();
+  // A new endpoint gets the backlog right away; switching reporting off discards it
+  if (reportingChanged) {
+    flushReports().catch(e => console.warn('[monitor] report retry failed:', e?.message || e));
+  }
+  if (limitsTightened) {
+    Promise.all([expireIdle(), enforceBudget()])
+      .catch(e => console.warn('[monitor] baseline eviction failed:', e?.message || e));
+  }
+};
+
+TNSettings.watch((next) => {
+  userSettings = next;
+  applySettings(TNSettings.withPolicy(next, policy));
+});
+
+// Drop any baseline we already hold for a tab whose site just became "never capture"
+const dropNeverCaptured = async () => {
+  for (const [tabId, st] of tabState.entries()) {
+    const tab = await getTabSafe(tabId);
+    if (tab && isNeverCapture(tab.url) && (st.baseline || st.page)) await dropBaseline(tabId, st);
+  }
+};
+
+TNSettings.watchRules(async (rules) => {
+  siteRules = rules;
+  await dropNeverCaptured();
+});
+
+// An administrator changed the policy: locked settings and site lists apply right away, and
+// tabs paused by the user resume once pausing is no longer allowed there
+TNSettings.watchPolicy(async (next) => {
+  await ready;
+  policy = next;
+  applySettings(TNSettings.withPolicy(userSettings, policy));
+  await dropNeverCaptured();
+  for (const [tabId, st] of tabState.entries()) {
+    if (!st.paused) continue;
+    const tab = await getTabSafe(tabId);
+    if (!policy.allowPause || (tab && TNSettings.isMonitored(tab.url, policy))) await setPaused(tabId, st, false);
+  }
+});
+
+// Everything event handlers need before touching tabState
+const ready = Promise.all([
+  settingsReady,
+  hydrate().catch(e => console.warn('[monitor] state restore failed:', e?.message || e))
+]).then(() => resumeActive());
+
 // ---------- offscreen analyzer orchestration ----------
 
 const offscreenAlive = async () => {
@@ -103,102 +667,740 @@ const ensureOffscreen = async () => {
   if (await offscreenAlive()) return;
   await chrome.offscreen.createDocument({
     url: 'analyzer.html',
-    reasons: [chrome.offscreen.Reason.DOM_PARSER],
-    justification: 'Run canvas-based image differ in an offscreen document.'
+    reasons: [chrome.offscreen.Reason.DOM_PARSER, chrome.offscreen.Reason.WORKERS],
+    justification: 'Run canvas-based image differ (and its Web Worker) in an offscreen document.'
   });
 };
 
-const gradeThreat = (pct) =>
-  pct >= 35 ? 'critical' :
-  pct >= 15 ? 'warning'  :
-              'minor';
+// A crashed or wedged document is closed; the next request creates a fresh one
+const recreateOffscreen = async () => {
+  try {
+    if (await offscreenAlive()) await chrome.offscreen.closeDocument();
+  } catch (e) {
+    console.warn('[monitor] analyzer close failed:', e?.message || e);
+  }
+};
+
+// ---------- analyzer requests ----------
 
-const analyzePair = async (tabId, beforeUrl, afterUrl) => {
-  await ensureOffscreen();
+// Each request gets a requestId the analyzer echoes back, so a late reply can't be taken for
+// another comparison of the same tab. Requests run one at a time (pixel work competes with the
+// page for CPU) and resolve exactly once, with the analyzer's reply or with { error } on
+// timeout / { cancelled: true } when superseded, dropped from the queue or cancelled.
+const ANALYZER_TIMEOUT_MS = 15000;
+const ANALYZER_QUEUE_MAX = 4;       // requests waiting behind the running one
+const ANALYZER_MAX_TIMEOUTS = 2;    // in a row before the offscreen document is recreated
 
-  return new Promise((resolve) => {
-    const handler = (msg) => {
-      if (msg?.type === 'analysis:complete' && msg.tabId === tabId) {
-        chrome.runtime.onMessage.removeListener(handler);
-        resolve(msg);
+let nextRequestId = 1;
+let inFlight = null;   // { requestId, tabId, message, resolve, timer }
+const waiting = [];
+let timeoutsInRow = 0;
+
+// Settle a request; when it was the running one, optionally restart the analyzer, then send the next
+const finish = async (req, reply, restart = false) => {
+  clearTimeout(req.timer);
+  req.resolve(reply);
+  if (inFlight !== req) return;
+  if (restart) await recreateOffscreen();
+  inFlight = null;
+  pump();
+};
+
+const pump = async () => {
+  if (inFlight || !waiting.length) return;
+  const req = waiting.shift();
+  inFlight = req;
+
+  try {
+    await ensureOffscreen();
+  } catch (e) {
+    await finish(req, { error: `analyzer unavailable: ${e?.message || e}` }, true);
+    return;
+  }
+
+  req.timer = setTimeout(() => {
+    timeoutsInRow++;
+    chrome.runtime.sendMessage({ type: 'analysis:cancel', requestId: req.requestId }).catch(() => {});
+    finish(req, { error: 'timeout' }, timeoutsInRow >= ANALYZER_MAX_TIMEOUTS);
+  }, ANALYZER_TIMEOUT_MS);
+
+  // The analyzer replies with a separate *:complete message; a rejection here means nobody is listening
+  chrome.runtime.sendMessage({ ...req.message, requestId: req.requestId, tabId: req.tabId })
+    .catch((e) => {
+      if (/receiving end does not exist/i.test(String(e?.message))) {
+        finish(req, { error: 'analyzer not listening' }, true);
       }
-    };
-    chrome.runtime.onMessage.addListener(handler);
+    });
+};
+
+// Queue a request; a newer one of the same type for the same tab replaces any still waiting,
+// and a full queue drops a volatility pass before it drops a comparison
+const callAnalyzer = (tabId, message) => new Promise((resolve) => {
+  for (let i = waiting.length - 1; i >= 0; i--) {
+    if (waiting[i].tabId === tabId && waiting[i].message.type === message.type) {
+      waiting.splice(i, 1)[0].resolve({ cancelled: true });
+    }
+  }
+  if (waiting.length >= ANALYZER_QUEUE_MAX) {
+    const i = waiting.findIndex(r => r.message.type === 'volatility:request');
+    waiting.splice(i < 0 ? 0 : i, 1)[0].resolve({ cancelled: true });
+  }
+  waiting.push({ requestId: nextRequestId++, tabId, message, resolve, timer: null });
+  pump();
+});
+
+// The user left the tab again: its comparison would only paint an overlay nobody sees, and the
+// baseline it would advance is still the right one to compare against next time
+const cancelAnalysis = (tabId) => {
+  for (let i = waiting.length - 1; i >= 0; i--) {
+    if (waiting[i].tabId === tabId && waiting[i].message.type === 'analysis:request') {
+      waiting.splice(i, 1)[0].resolve({ cancelled: true });
+    }
+  }
+  if (inFlight?.tabId === tabId && inFlight.message.type === 'analysis:request') {
+    chrome.runtime.sendMessage({ type: 'analysis:cancel', requestId: inFlight.requestId }).catch(() => {});
+    finish(inFlight, { cancelled: true });
+  }
+};
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type !== 'analysis:complete' && msg?.type !== 'volatility:complete') return;
+  const req = inFlight;
+  if (!req || msg.requestId !== req.requestId) return;  // reply to a request already given up on
+  timeoutsInRow = 0;
+  finish(req, msg);
+});
+
+const analyzePair = (tabId, beforeUrl, afterUrl, cfg = settings, geometry = null, mask = null) =>
+  callAnalyzer(tabId, {
+    type: 'analysis:request',
+    original: beforeUrl,
+    current: afterUrl,
+    geometry,
+    mask,
+    tunables: TNSettings.tunables(cfg)
+  });
+
+// ---------- volatility mask ----------
+
+// Areas that change on their own while the user is looking at the tab (carousels, tickers,
+// ads, live charts) are learned from consecutive captures and ignored on return.
+// Each cell keeps a score: a change between two captures adds MASK_HIT, a quiet pair
+// subtracts MASK_DECAY; cells at or above MASK_ON are masked. Cells the user marked as
+// expected in the overlay are pinned: masked regardless of their score, until the viewport changes.
+const MASK_CELL = 16;    // capture px per cell
+const MASK_HIT = 64;
+const MASK_DECAY = 8;    // ~16 quiet captures to forget a cell
+const MASK_ON = 128;
+
+const saveMask = async (tabId, mask) => {
+  try {
+    if (mask) await TNStore.put('masks', { tabId, ...mask });
+    else await TNStore.del('masks', tabId);
+  } catch (e) {
+    console.warn('[monitor] mask persist failed:', e?.message || e);
+  }
+};
+
+const resetMask = async (tabId, st) => {
+  if (!st.mask) return;
+  st.mask = null;
+  await saveMask(tabId, null);
+};
+
+// Cells the content moved by between two page geometries (capture px = CSS px * width / innerWidth)
+const scrollCells = (from, to, width, cell) => {
+  if (!from || !to || !to.innerWidth) return { sx: 0, sy: 0 };
+  const scale = width / to.innerWidth;
+  return {
+    sx: Math.round(((to.scrollX || 0) - (from.scrollX || 0)) * scale / cell),
+    sy: Math.round(((to.scrollY || 0) - (from.scrollY || 0)) * scale / cell)
+  };
+};
+
+// Move scores (or pins) along with scrolled content: new cell c shows old cell c + shift
+const shiftScores = (mask, sx, sy, scores = mask.scores) => {
+  const { cols, rows } = mask;
+  const out = new Uint8Array(cols * rows);
+  for (let r = 0; r < rows; r++) {
+    const from = r + sy;
+    if (from < 0 || from >= rows) continue;
+    for (let c = 0; c < cols; c++) {
+      const fc = c + sx;
+      if (fc >= 0 && fc < cols) out[r * cols + c] = scores[from * cols + fc];
+    }
+  }
+  return out;
+};
+
+// Ask the analyzer which cells differ between the previous and the new baseline
+const requestHotCells = (tabId, beforeUrl, afterUrl, cfg, geometry) =>
+  callAnalyzer(tabId, {
+    type: 'volatility:request',
+    original: beforeUrl,
+    current: afterUrl,
+    geometry,
+    cell: MASK_CELL,
+    tunables: TNSettings.tunables(cfg)
+  });
+
+// Update the tab's mask from two consecutive active captures; skipped while a pass is running.
+// A gap longer than two intervals means the tab was away (or the worker asleep): a change
+// across it is exactly what the comparison on return must catch, so it is never learned.
+const learnVolatility = async (tabId, st, previous, shot) => {
+  if (!previous.image || st.learning) return;
+  if (Date.now() - previous.at > settings.captureInterval * 2) return;
+  if (!sameViewport(previous.geometry, shot.geometry)) {
+    await resetMask(tabId, st);
+    return;
+  }
+
+  st.learning = true;
+  try {
+    const tab = await getTabSafe(tabId);
+    const geometry = { before: previous.geometry, after: shot.geometry };
+    const reply = await requestHotCells(tabId, previous.image, shot.image, settingsFor(tab?.url), geometry);
+    if (reply.error || reply.cancelled) return;
+    if (reply.rebaseline) {
+      await resetMask(tabId, st);
+      return;
+    }
+
+    // Scores are kept in the frame of the newest capture (mask.geometry)
+    const { cols, rows, cell, width, hot } = reply;
+    let mask = st.mask;
+    if (!mask || mask.cols !== cols || mask.rows !== rows || mask.cell !== cell) {
+      mask = { cols, rows, cell, width, geometry: shot.geometry, scores: new Uint8Array(cols * rows) };
+    } else {
+      const { sx, sy } = scrollCells(mask.geometry, shot.geometry, width, cell);
+      const moved = sx || sy;
+      mask = {
+        ...mask,
+        geometry: shot.geometry,
+        scores: moved ? shiftScores(mask, sx, sy) : mask.scores,
+        pinned: moved && mask.pinned ? shiftScores(mask, sx, sy, mask.pinned) : mask.pinned
+      };
+    }
+
+    const changed = new Uint8Array(cols * rows);
+    for (const i of hot) changed[i] = 1;
+    const { scores } = mask;
+    for (let i = 0; i < scores.length; i++) {
+      scores[i] = changed[i]
+        ? Math.min(255, scores[i] + MASK_HIT)
+        : Math.max(0, scores[i] - MASK_DECAY);
+    }
+
+    st.mask = mask;
+    await saveMask(tabId, mask);
+  } catch (e) {
+    console.warn('[monitor] volatility update failed:', e?.message || e);
+  } finally {
+    st.learning = false;
+  }
+};
+
+// Pin the cells under a region the user marked as expected. The region is in capture px of
+// the frame it was found in; `geometry` is the page geometry of that frame.
+const pinRegion = async (tabId, st, region, width, height, geometry) => {
+  let mask = st.mask;
+  if (!mask || mask.width !== width) {
+    const cols = Math.ceil(width / MASK_CELL);
+    const rows = Math.ceil(height / MASK_CELL);
+    mask = { cols, rows, cell: MASK_CELL, width, geometry, scores: new Uint8Array(cols * rows) };
+  }
+  const { sx, sy } = scrollCells(geometry, mask.geometry, width, mask.cell);
+  const pinned = mask.pinned || new Uint8Array(mask.cols * mask.rows);
+
+  const c0 = Math.max(0, Math.floor(region.x / mask.cell) - sx);
+  const c1 = Math.min(mask.cols - 1, Math.ceil((region.x + region.w) / mask.cell) - 1 - sx);
+  const r0 = Math.max(0, Math.floor(region.y / mask.cell) - sy);
+  const r1 = Math.min(mask.rows - 1, Math.ceil((region.y + region.h) / mask.cell) - 1 - sy);
+  for (let r = r0; r <= r1; r++) {
+    for (let c = c0; c <= c1; c++) pinned[r * mask.cols + c] = 1;
+  }
+
+  st.mask = { ...mask, pinned };
+  await saveMask(tabId, st.mask);
+  return { ok: true, cells: Math.max(0, c1 - c0 + 1) * Math.max(0, r1 - r0 + 1) };
+};
+
+// What the analyzer needs: indices of masked cells in the baseline frame, or null
+const maskForAnalyzer = (mask) => {
+  if (!mask) return null;
+  const cells = [];
+  for (let i = 0; i < mask.scores.length; i++) {
+    if (mask.scores[i] >= MASK_ON || mask.pinned?.[i]) cells.push(i);
+  }
+  return cells.length
+    ? { cell: mask.cell, cols: mask.cols, rows: mask.rows, width: mask.width, geometry: mask.geometry, cells }
+    : null;
+};
+
+// ---------- background tab signals ----------
 
-    chrome.runtime.sendMessage({
-      type: 'analysis:request',
-      tabId,
-      original: beforeUrl,
-      current: afterUrl
+const MAX_SIGNALS = 20;
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return '';
+  }
+};
+
+// Remember what the tab looked like so later onUpdated events can be diffed against it
+const rememberTab = (st, tab, seen = false) => {
+  if (!tab) return;
+  if (seen) st.seen = true;
+  st.url = tab.url ?? st.url;
+  st.title = tab.title ?? st.title;
+  st.favIconUrl = tab.favIconUrl ?? st.favIconUrl;
+};
+
+const recordSignal = (st, signal) => {
+  st.hiddenSignals = [...(st.hiddenSignals || []), { ...signal, at: Date.now() }].slice(-MAX_SIGNALS);
+};
+
+// Badge palette (keep synced with control panel legend)
+const BADGE = {
+  critical: '#E91E63',
+  warning:  '#FF6B35',
+  minor:    '#FFA726',
+  safe:     '#9E9E9E'
+};
+
+// DOM events visualizer.js recorded while the tab was hidden ({ events, hiddenFor })
+const collectJournal = async (tabId) => {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { type: 'journal:collect' }) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Incident history entry (incidents.js) for a result, with downscaled before/after previews
+const incidentEntry = async (tabId, st, result, verdict) => {
+  const tab = await getTabSafe(tabId);
+  const url = tab?.url || st.url || '';
+  const [before, after] = await Promise.all([
+    TNIncidents.thumbnail(result.images?.before),
+    TNIncidents.thumbnail(result.images?.after)
+  ]);
+
+  return {
+    at: st.lastResult.at,
+    url,
+    host: TNSettings.hostOf(url),
+    title: tab?.title || st.title || '',
+    mismatch: result.mismatch,
+    changes: result.changes,
+    width: result.width,
+    height: result.height,
+    tier: verdict.tier,
+    score: verdict.score,
+    reasons: verdict.reasons,
+    signals: result.signals || [],
+    journal: result.journal || [],
+    thumbnails: { before, after }
+  };
+};
+
+// Append an entry to the incident history; resolves with its id
+const recordIncident = (entry) =>
+  TNIncidents.record(entry, { maxEntries: settings.historyMaxEntries, maxDays: settings.historyMaxDays });
+
+// ---------- incident reporting ----------
+
+// One-shot alarm for the next outbox retry (reporting.js), cleared when nothing is queued
+const scheduleReports = (nextAt) => nextAt
+  ? chrome.alarms.create(REPORT_ALARM, { when: Math.max(nextAt, Date.now() + REPORT_ALARM_MIN_MS) })
+  : chrome.alarms.clear(REPORT_ALARM);
+
+const flushReports = async () => scheduleReports(await TNReporting.flush(settings));
+
+// Send an incident to the configured endpoint when its tier is reported; a failed delivery is
+// queued, a successful one means the endpoint is up, so anything queued goes out too
+const reportIncident = async (entry) => {
+  if (!TNReporting.wants(entry.tier, settings)) return;
+  if (await TNReporting.submit(entry, settings)) await flushReports();
+  else await scheduleReports(await TNReporting.nextDue());
+};
+
+const reportFailed = (e) => console.warn('[monitor] incident report failed:', e?.message || e);
+
+// Full-size before/after pair of the latest comparison, for the side-by-side viewer (compare.html).
+// The pair is stored as data URLs; their length stands in for its size in the memory budget.
+const saveComparison = async (tabId, st, result, verdict, at) => {
+  await TNStore.put('comparisons', {
+    tabId,
+    url: st.url,
+    title: st.title,
+    before: result.images.before,
+    after: result.images.after,
+    aligned: result.aligned || { dx: 0, dy: 0 },
+    changes: result.changes,
+    masked: result.masked || [],
+    width: result.width,
+    height: result.height,
+    mismatch: result.mismatch,
+    verdict,
+    at
+  });
+  st.comparison = { bytes: result.images.before.length + result.images.after.length };
+};
+
+// Page elements under each region ("input[type=password]", "iframe from other.example"),
+// named by visualizer.js from the live DOM; regions stay unlabeled when the page can't answer
+const labelChanges = async (tabId, changes, width, height, fullPage = false) => {
+  if (!changes?.length) return changes || [];
+  try {
+    const { labels = [] } = await chrome.tabs.sendMessage(tabId, {
+      type: 'regions:label',
+      regions: changes,
+      width,
+      height,
+      fullPage
+    }) || {};
+    return changes.map((r, i) => ({ ...r, labels: labels[i] || [] }));
+  } catch {
+    return changes;
+  }
+};
+
+// Verdict tiers that arm the in-page input guard, per the inputGuard setting
+const GUARD_TIERS = {
+  critical: ['critical'],
+  warning: ['warning', 'critical'],
+  off: []
+};
+
+const guardFor = (verdict, cfg) => GUARD_TIERS[cfg.inputGuard]?.includes(verdict.tier) || false;
+
+// ---------- desktop notifications ----------
+
+// Tiers that can notify, each behind its own setting
+const NOTIFY_SETTING = { critical: 'notifyCritical', warning: 'notifyWarning' };
+const NOTICE_PREFIX = 'tn-alert';
+
+// Notification ids carry the tab and the host at the time of the finding, so the actions
+// still work after the worker restarted: "tn-alert:<tabId>:<at>:<host>"
+const noticeId = (tabId, at, host) => `${NOTICE_PREFIX}:${tabId}:${at}:${host}`;
+
+const parseNoticeId = (id) => {
+  const [prefix, tabId, , ...host] = String(id).split(':');
+  return prefix === NOTICE_PREFIX ? { tabId: Number(tabId), host: host.join(':') } : null;
+};
+
+// Alert outside the page for a finding the badge alone might not get noticed for;
+// at most one per tab per notifyCooldown minutes
+const notifyResult = async (tabId, st, result, verdict, cfg) => {
+  const key = NOTIFY_SETTING[verdict.tier];
+  if (!key || cfg[key] !== 'on') return;
+  const now = Date.now();
+  if (now - (st.lastNotified || 0) < cfg.notifyCooldown * 60 * 1000) return;
+  st.lastNotified = now;
+  await persistMeta();
+
+  const tab = await getTabSafe(tabId);
+  const url = tab?.url || st.url || '';
+  const host = TNSettings.hostOf(url);
+  const regions = result.changes.length;
+  await chrome.notifications.create(noticeId(tabId, now, host), {
+    type: 'basic',
+    iconUrl: 'icons/shield128.png',
+    title: `${verdict.tier === 'critical' ? 'Critical' : 'Warning'}: a tab changed while you were away`,
+    message: `${tab?.title || st.title || '(untitled)'}\n${originOf(url) || host} · ` +
+      `${regions} region${regions === 1 ? '' : 's'} · risk ${verdict.score}\n` +
+      'Click this notification to see the changes.',
+    contextMessage: verdict.reasons[0]?.text || '',
+    buttons: [{ title: 'Close tab' }, { title: 'Trust this site' }],
+    requireInteraction: verdict.tier === 'critical',
+    priority: verdict.tier === 'critical' ? 2 : 1
+  });
+};
+
+// A closed tab's notifications have nothing left to act on
+const clearNotices = async (tabId) => {
+  const open = await chrome.notifications.getAll();
+  for (const id of Object.keys(open)) {
+    if (parseNoticeId(id)?.tabId === tabId) chrome.notifications.clear(id);
+  }
+};
+
+// Clicking the notification itself means "Show changes": the side-by-side viewer when the
+// comparison was kept, otherwise the tab with its overlay
+chrome.notifications.onClicked.addListener(async (id) => {
+  const notice = parseNoticeId(id);
+  if (!notice) return;
+  chrome.notifications.clear(id);
+  await ready;
+
+  const tab = await getTabSafe(notice.tabId);
+  if (!tab) return;
+  if (tabState.get(notice.tabId)?.lastResult?.compared) {
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(`compare.html?tabId=${notice.tabId}`),
+      windowId: tab.windowId,
+      index: tab.index + 1
     });
+  } else {
+    await chrome.tabs.update(notice.tabId, { active: true });
+  }
+  await chrome.windows.update(tab.windowId, { focused: true });
+});
+
+chrome.notifications.onButtonClicked.addListener(async (id, index) => {
+  const notice = parseNoticeId(id);
+  if (!notice) return;
+  chrome.notifications.clear(id);
+
+  try {
+    if (index === 0) {
+      await chrome.tabs.remove(notice.tabId);
+    } else if (index === 1 && notice.host) {
+      await TNSettings.setRule(notice.host, 'relaxed');
+    }
+  } catch (e) {
+    console.warn('[monitor] notification action failed:', e?.message || e);
+  }
+});
+
+// Score a comparison (scoring.js), push the verdict to the badge and the page overlay,
+// and keep it with the tab state so the popup shows the same verdict
+const publishResult = async (tabId, st, unlabeled, cfg = settings, { manual = false } = {}) => {
+  const result = {
+    ...unlabeled,
+    changes: await labelChanges(tabId, unlabeled.changes, unlabeled.width, unlabeled.height, !!unlabeled.fullPage)
+  };
+  const {
+    mismatch, changes, width, height, heatmap = null, masked = [], journal = [], signals = [], fullPage = false
+  } = result;
+  const verdict = TNScoring.assess(result, cfg);
+
+  const at = Date.now();
+  const compared = !!(result.images?.before && result.images?.after);
+  if (compared) {
+    await saveComparison(tabId, st, result, verdict, at)
+      .catch(e => console.warn('[monitor] comparison save failed:', e?.message || e));
+  }
+
+  st.lastResult = {
+    mismatch, changes, width, height, journal, signals, verdict, compared, fullPage,
+    at
+  };
+  await persistMeta();
+
+  // The input guard may need the entry later to note what the user chose
+  const last = st.lastResult;
+  const entry = incidentEntry(tabId, st, result, verdict);
+  st.incidentWrite = entry
+    .then(recordIncident)
+    .then((id) => {
+      last.incidentId = id;
+      return persistMeta();
+    })
+    .catch(e => console.warn('[monitor] history write failed:', e?.message || e));
+  entry.then(reportIncident).catch(reportFailed);
+
+  await chrome.action.setBadgeBackgroundColor({
+    tabId,
+    color: BADGE[verdict.tier] || BADGE.safe
+  });
+  await chrome.action.setBadgeText({
+    tabId,
+    text: String(changes.length || 0)
   });
+
+  // A manual check answers in the popup already
+  if (!manual) {
+    notifyResult(tabId, st, result, verdict, cfg)
+      .catch(e => console.warn('[monitor] notification failed:', e?.message || e));
+  }
+
+  // Paint overlays
+  await chrome.tabs.sendMessage(tabId, {
+    type: 'visualize:changes',
+    mismatch,
+    changes,
+    width,
+    height,
+    fullPage,
+    verdict,
+    masked,
+    text: journal.filter(e => e.kind?.startsWith('text-')),
+    guard: guardFor(verdict, cfg),
+    allowClear: policy.allowClearOverlays,
+    overlayMode: cfg.overlayMode,
+    heatmap     // sent in rectangles mode too, for the toggle-overlay shortcut
+  });
+
+  return verdict;
+};
+
+// Full-page counterpart of the viewport comparison: sweep the page at its baseline's height and
+// diff the two frames without the volatility mask, which only knows the viewport.
+// Resolves { verdict, mismatch, regions } or { error } (same codes as a manual check).
+const comparePage = async (tabId, st, cfg, { journal = [], signals = [] } = {}, { manual = false } = {}) => {
+  const before = st.page && await loadPage(tabId);
+  const shot = await captureFullPage(tabId, st, before ? st.page.height : 0);
+  if (!shot) return { error: st.isActive ? 'capture-failed' : 'cancelled' };
+
+  // Two back-to-back sweeps would always match; keep this one and compare next time
+  if (!before) {
+    await savePage(tabId, st, shot);
+    return { error: 'no-baseline' };
+  }
+
+  const geometry = { before: st.page.geometry, after: shot.geometry };
+  const reply = await analyzePair(tabId, before, shot.image, cfg, geometry, null);
+  if (reply.cancelled) return { error: 'cancelled' };
+  if (reply.error) return { error: 'analysis-failed' };
+  const { mismatch = 0, changes = [], width = 0, height = 0, heatmap, masked, aligned, rebaseline } = reply;
+
+  // Resized or zoomed since the baseline
+  if (rebaseline) {
+    await savePage(tabId, st, shot);
+    return { error: 'rebaselined' };
+  }
+
+  const verdict = await publishResult(tabId, st, {
+    mismatch, changes, width, height, heatmap, masked, aligned,
+    journal, signals,
+    fullPage: true,
+    images: { before, after: shot.image }
+  }, cfg, { manual });
+
+  await savePage(tabId, st, shot);
+  return { verdict, mismatch, regions: changes.length };
 };
 
 // Compare when a tab becomes active again
 const compareOnReturn = async (tabId) => {
+  await ready;
   const st = tabState.get(tabId);
-  if (!st?.snapshot) return;
+  if (!st) return;
 
-  setTimeout(async () => {
-    const current = await snapVisible(tabId);
-    if (!current) return;
+  // Title/favicon/URL changes seen while hidden are consumed by this return, along with
+  // whatever a cancelled earlier return held back
+  const signals = st.hiddenSignals || [];
+  const held = st.heldJournal || [];
+  st.hiddenSignals = [];
+  st.heldJournal = [];
+  if (signals.length || held.length) await persistMeta();
+  if (st.paused) return;
+  if (!st.baseline && !st.page && !signals.length && !held.length) return;
 
+  setTimeout(async () => {
     try {
-      const { mismatch = 0, changes = [], width = 0, height = 0 } =
-        await analyzePair(tabId, st.snapshot, current) || {};
-
-      const tier = gradeThreat(mismatch);
+      const tab = await getTabSafe(tabId);
+      const { events = [] } = await collectJournal(tabId);
+      const journal = [...held, ...events];
 
-      // Badge palette (keep synced with control panel legend)
-      const BADGE = {
-        critical: '#E91E63',
-        warning:  '#FF6B35',
-        minor:    '#FFA726',
-        safe:     '#9E9E9E'
+      // Left again before the result was in: nobody would see it, so the next return gets
+      // the signals and journal instead (the baseline isn't advanced, so the diff repeats)
+      const holdForNextReturn = () => {
+        st.hiddenSignals = [...signals, ...(st.hiddenSignals || [])].slice(-MAX_SIGNALS);
+        st.heldJournal = journal;
+        return persistMeta();
       };
 
-      await chrome.action.setBadgeBackgroundColor({
-        tabId,
-        color: BADGE[tier] || BADGE.safe
-      });
-      await chrome.action.setBadgeText({
-        tabId,
-        text: String(changes.length || 0)
-      });
+      // Nothing to diff against, but tab signals and DOM events still deserve a warning
+      const reportWithoutDiff = () => (journal.length || signals.length)
+        ? publishResult(tabId, st, {
+            mismatch: 0, changes: [], width: 0, height: 0,
+            journal, signals
+          }, settingsFor(tab?.url))
+        : null;
 
-      // Paint overlays
-      await chrome.tabs.sendMessage(tabId, {
-        type: 'visualize:changes',
-        mismatch,
-        changes,
-        width,
-        height
-      });
+      if (tab && isNeverCapture(tab.url)) {
+        await reportWithoutDiff();
+        await dropBaseline(tabId, st);
+        return;
+      }
+
+      // High-sensitivity site with a full-page baseline: compare the whole page instead
+      if (st.page && fullPageFor(tab?.url, false)) {
+        const { error } = await comparePage(tabId, st, settingsFor(tab.url), { journal, signals });
+        if (error === 'cancelled') await holdForNextReturn();
+        else if (error) await reportWithoutDiff();
+        return;
+      }
+
+      const shot = await captureWithGeometry(tabId);
+      if (!shot) {
+        await reportWithoutDiff();
+        return;
+      }
+      const current = shot.image;
+      const before = st.baseline && sameViewport(st.geometry, shot.geometry) ? await loadBaseline(tabId) : null;
+
+      // No baseline, or zoomed/resized while away: start over from this frame instead of diffing
+      if (!before) {
+        await reportWithoutDiff();
+        await saveBaseline(tabId, st, shot);
+        return;
+      }
+
+      const cfg = settingsFor(tab?.url);
+      const geometry = { before: st.geometry, after: shot.geometry };
+      const reply = await analyzePair(tabId, before, current, cfg, geometry, maskForAnalyzer(st.mask));
+      const { mismatch = 0, changes = [], width = 0, height = 0, heatmap, masked, aligned, rebaseline } = reply;
+
+      if (reply.cancelled) {
+        await holdForNextReturn();
+        return;
+      }
+      if (reply.error) {
+        console.warn('[monitor] analysis failed:', reply.error);
+        await reportWithoutDiff();
+        return;
+      }
+
+      if (rebaseline) {
+        await reportWithoutDiff();
+        await saveBaseline(tabId, st, shot);
+        return;
+      }
+
+      await publishResult(tabId, st, {
+        mismatch, changes, width, height, heatmap, masked, aligned,
+        journal, signals,
+        images: { before, after: current }
+      }, cfg);
 
       // Advance baseline
-      st.snapshot = current;
-      tabState.set(tabId, st);
+      await saveBaseline(tabId, st, shot);
     } catch (e) {
-      console.warn('[monitor] analysis failed:', e?.message || e);
+      // The tab closed or navigated mid-comparison; its receivers and badge are gone
+      console.warn('[monitor] return comparison failed:', e?.message || e);
     }
-  }, COMPARISON_DELAY);
+  }, settings.comparisonDelay);
 };
 
 // ---------- tab/window lifecycle wiring ----------
 
+const markInactive = (tabId, st) => {
+  if (st.isActive) cancelAnalysis(tabId);
+  st.isActive = false;
+};
+
 chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  await ready;
   const existing = tabState.get(tabId);
   const wasInactive = existing ? existing.isActive === false : false;
 
   // Mark others inactive
   for (const [id, st] of tabState.entries()) {
-    if (id !== tabId) st.isActive = false;
+    if (id !== tabId) markInactive(id, st);
   }
 
   // Activate this tab
-  const st = existing ?? { snapshot: null, isActive: true };
+  const st = existing ?? newState(true);
   st.isActive = true;
+  rememberTab(st, await getTabSafe(tabId), true);
   tabState.set(tabId, st);
+  await persistMeta();
 
   // Stop loops for other tabs in the same window
   const siblings = await chrome.tabs.query({ windowId });
@@ -214,15 +1416,17 @@ chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
 });
 
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await ready;
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    for (const st of tabState.values()) st.isActive = false;
+    for (const [id, st] of tabState.entries()) markInactive(id, st);
+    await persistMeta();
     return;
   }
 
   const [active] = await chrome.tabs.query({ active: true, windowId });
   if (!active?.id) return;
 
-  const st = tabState.get(active.id) ?? { snapshot: null, isActive: false };
+  const st = tabState.get(active.id) ?? newState(false);
   const wasInactive = st.isActive === false;
 
   // Mark other tabs in this window inactive
@@ -230,12 +1434,14 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
   for (const t of tabs) {
     if (t.id !== active.id) {
       const peer = tabState.get(t.id);
-      if (peer) peer.isActive = false;
+      if (peer) markInactive(t.id, peer);
     }
   }
 
   st.isActive = true;
+  rememberTab(st, active, true);
   tabState.set(active.id, st);
+  await persistMeta();
   startLoop(active.id);
 
   if (wasInactive) {
@@ -245,85 +1451,440 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
 
 chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
   if (info.status === 'complete' && tab.active && !isNonCapturableUrl(tab.url)) {
-    const st = tabState.get(tabId) ?? { snapshot: null, isActive: true };
+    await ready;
+    const st = tabState.get(tabId) ?? newState(true);
     st.isActive = true;
     tabState.set(tabId, st);
+    await persistMeta();
     startLoop(tabId);
   }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+// Title, favicon and URL changes on tabs the user isn't looking at (classic tabnabbing
+// swaps the favicon/title, or navigates the tab through window.opener)
+chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
+  if (info.title === undefined && info.favIconUrl === undefined && info.url === undefined) return;
+  await ready;
+
+  const st = tabState.get(tabId) ?? newState(false);
+  tabState.set(tabId, st);
+  const hidden = !tab.active || !st.isActive;
+
+  // Only tabs the user has actually looked at can be "swapped"; background-opened tabs
+  // still loading (redirect chains, title churn) would otherwise raise false alarms
+  if (hidden && st.seen) {
+    if (info.url !== undefined && st.url && info.url !== st.url) {
+      recordSignal(st, {
+        kind: 'navigation',
+        from: st.url,
+        to: info.url,
+        crossOrigin: originOf(st.url) !== originOf(info.url)
+      });
+    }
+    if (info.title !== undefined && st.title && info.title !== st.title) {
+      recordSignal(st, { kind: 'title', from: st.title, to: info.title });
+    }
+    if (info.favIconUrl !== undefined && st.favIconUrl && info.favIconUrl !== st.favIconUrl) {
+      recordSignal(st, { kind: 'favicon', from: st.favIconUrl, to: info.favIconUrl });
+    }
+  }
+
+  // A different document: what was volatile on the old one says nothing about the new one
+  const withoutHash = (u) => String(u || '').split('#')[0];
+  if (info.url !== undefined && withoutHash(info.url) !== withoutHash(st.url)) await resetMask(tabId, st);
+
+  rememberTab(st, {
+    url: info.url ?? (st.url || tab.url),
+    title: info.title ?? (st.title || tab.title),
+    favIconUrl: info.favIconUrl ?? (st.favIconUrl || tab.favIconUrl)
+  });
+  if (!hidden) st.seen = true;
+  await persistMeta();
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await ready;
+  cancelAnalysis(tabId);
   stopLoop(tabId);
+  clearNotices(tabId).catch(() => {});
   tabState.delete(tabId);
+  await dropBaseline(tabId, null);
 });
 
 // Seed baselines at install
 chrome.runtime.onInstalled.addListener(async () => {
+  await ready;
   const actives = await chrome.tabs.query({ active: true });
   for (const t of actives) {
-    const shot = await snapVisible(t.id);
-    tabState.set(t.id, { snapshot: shot, isActive: true });
+    const st = tabState.get(t.id) ?? newState(true);
+    st.isActive = true;
+    rememberTab(st, t, true);
+    const shot = await captureWithGeometry(t.id);
+    if (shot) {
+      await saveBaseline(t.id, st, shot);
+    } else {
+      tabState.set(t.id, st);
+    }
     startLoop(t.id);
   }
 });
 
+// Watchdog: alarms survive suspension, so a restarted worker re-arms the capture loop
+chrome.alarms.get(WATCHDOG_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: WATCHDOG_PERIOD_MIN });
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== WATCHDOG_ALARM) return;
+  await ready;
+  await expireIdle();
+  await resumeActive();
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== REPORT_ALARM) return;
+  await ready;
+  await flushReports().catch(reportFailed);
+});
+
 // ---------- popup <-> background: manual check ----------
 
-chrome.runtime.onMessage.addListener(async (msg, _sender, sendResponse) => {
-  if (msg?.type === 'manual:check' && typeof msg.tabId === 'number') {
-    const tabId = msg.tabId;
-    let st = tabState.get(tabId);
-    if (!st) {
-      st = { snapshot: null, isActive: true };
-      tabState.set(tabId, st);
-    }
+// Compare the stored baseline with a fresh capture right now; replies with the verdict
+const manualCheck = async (tabId) => {
+  await ready;
+  let st = tabState.get(tabId);
+  if (!st) {
+    st = newState(true);
+    tabState.set(tabId, st);
+  }
 
-    try {
-      const beforeImg = st.snapshot ?? await snapVisible(tabId);
-      const afterImg  = await snapVisible(tabId);
+  const tab = await getTabSafe(tabId);
+  if (tab && isNeverCapture(tab.url)) {
+    await dropBaseline(tabId, st);
+    return { success: false, error: 'never-capture' };
+  }
+  if (st.paused) return { success: false, error: 'paused' };
 
-      if (!beforeImg || !afterImg) {
-        sendResponse({ success: false, error: 'capture-failed' });
-        return true;
-      }
+  if (fullPageFor(tab?.url, true)) {
+    const { events: journal = [] } = st.page ? await collectJournal(tabId) : {};
+    const { error, ...res } = await comparePage(tabId, st, settingsFor(tab?.url), { journal }, { manual: true });
+    return error ? { success: false, error } : { success: true, fullPage: true, ...res };
+  }
 
-      const { mismatch = 0, changes = [], width = 0, height = 0 } =
-        await analyzePair(tabId, beforeImg, afterImg) || {};
+  const after = await captureWithGeometry(tabId);
+  if (!after) return { success: false, error: 'capture-failed' };
 
-      const tier = gradeThreat(mismatch);
+  // Two back-to-back captures would always match; keep this one and compare next time
+  const before = { image: st.baseline && await loadBaseline(tabId), geometry: st.geometry };
+  if (!before.image) {
+    await saveBaseline(tabId, st, after);
+    return { success: false, error: 'no-baseline' };
+  }
 
-      const BADGE = {
-        critical: '#E91E63',
-        warning:  '#FF6B35',
-        minor:    '#FFA726',
-        safe:     '#9E9E9E'
-      };
+  if (!sameViewport(before.geometry, after.geometry)) {
+    await saveBaseline(tabId, st, after);
+    return { success: false, error: 'rebaselined' };
+  }
 
-      await chrome.action.setBadgeBackgroundColor({
-        tabId,
-        color: BADGE[tier] || BADGE.safe
-      });
-      await chrome.action.setBadgeText({
-        tabId,
-        text: String(changes.length || 0)
-      });
+  const { events: journal = [] } = await collectJournal(tabId);
+  const cfg = settingsFor(tab?.url);
+  const geometry = { before: before.geometry, after: after.geometry };
+  const reply = await analyzePair(tabId, before.image, after.image, cfg, geometry, maskForAnalyzer(st.mask));
+  if (reply.cancelled) return { success: false, error: 'cancelled' };
+  if (reply.error) return { success: false, error: 'analysis-failed' };
+  const { mismatch = 0, changes = [], width = 0, height = 0, heatmap, masked, aligned, rebaseline } = reply;
 
-      await chrome.tabs.sendMessage(tabId, {
-        type: 'visualize:changes',
-        mismatch,
-        changes,
-        width,
-        height
-      });
+  if (rebaseline) {
+    await saveBaseline(tabId, st, after);
+    return { success: false, error: 'rebaselined' };
+  }
 
-      // Advance baseline to “after”
-      st.snapshot = afterImg;
-      tabState.set(tabId, st);
+  const verdict = await publishResult(tabId, st, {
+    mismatch, changes, width, height, heatmap, masked, aligned,
+    journal,
+    images: { before: before.image, after: after.image }
+  }, cfg, { manual: true });
 
-      sendResponse({ success: true });
-    } catch (e) {
-      sendResponse({ success: false, error: String(e?.message || e) });
+  // Advance baseline to “after”
+  await saveBaseline(tabId, st, after);
+
+  return { success: true, verdict, mismatch, regions: changes.length };
+};
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.type !== 'manual:check' || typeof msg.tabId !== 'number') return;
+
+  manualCheck(msg.tabId)
+    .then(sendResponse)
+    .catch(e => sendResponse({ success: false, error: String(e?.message || e) }));
+  return true; // keep message channel open for async
+});
+
+// ---------- page <-> background: input guard ----------
+
+const GUARD_CHOICES = ['continue', 'back', 'close'];
+
+// What the user picked on the guard interstitial: kept with the last result and its incident;
+// "close" is carried out here, since a page can't close its own tab
+const recordGuardChoice = async (tabId, choice) => {
+  await ready;
+  const st = tabState.get(tabId);
+  const last = st?.lastResult;
+  if (last) {
+    last.guard = { choice, at: Date.now() };
+    await persistMeta();
+    await st.incidentWrite;
+    if (last.incidentId) {
+      await TNIncidents.annotate(last.incidentId, { guard: last.guard })
+        .catch(e => console.warn('[monitor] history update failed:', e?.message || e));
     }
-    return true; // keep message channel open for async
   }
+  return { ok: true };
+};
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+  if (msg?.type !== 'guard:choice' || typeof tabId !== 'number' || !GUARD_CHOICES.includes(msg.choice)) return;
+
+  recordGuardChoice(tabId, msg.choice)
+    .then(sendResponse)
+    .catch(e => sendResponse({ ok: false, error: String(e?.message || e) }))
+    .finally(() => {
+      if (msg.choice === 'close') chrome.tabs.remove(tabId).catch(() => {});
+    });
+  return true;
+});
+
+// ---------- overlay tampering ----------
+
+const TAMPER_KINDS = ['removed', 'attributes', 'hidden', 'covered'];
+
+// The page removed, restyled, hid or covered the overlay showing its last result. That is
+// added to the result as a signal and scored again; the badge, HUD, input guard, incident and
+// notification follow the new verdict. Each kind counts once per result.
+const recordTamper = async (tabId, kind, detail) => {
+  await ready;
+  const st = tabState.get(tabId);
+  const last = st?.lastResult;
+  if (!last) return { ok: false, error: 'no-result' };
+  if (last.signals?.some(sg => sg.kind === 'tamper' && sg.tamper === kind)) return { ok: true };
+
+  last.signals = [
+    ...(last.signals || []),
+    { kind: 'tamper', tamper: kind, detail: String(detail || '').slice(0, 200), at: Date.now() }
+  ];
+  const previousTier = last.verdict?.tier;
+  const tab = await getTabSafe(tabId);
+  const cfg = settingsFor(tab?.url);
+  const verdict = last.verdict = TNScoring.assess(last, cfg);
+  await persistMeta();
+
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE[verdict.tier] || BADGE.safe });
+  chrome.tabs.sendMessage(tabId, { type: 'visualize:verdict', verdict, guard: guardFor(verdict, cfg) })
+    .catch(() => {});
+  notifyResult(tabId, st, last, verdict, cfg)
+    .catch(e => console.warn('[monitor] notification failed:', e?.message || e));
+
+  await st.incidentWrite;
+  if (last.incidentId) {
+    await TNIncidents.annotate(last.incidentId, {
+      tier: verdict.tier,
+      score: verdict.score,
+      reasons: verdict.reasons,
+      signals: last.signals
+    }).catch(e => console.warn('[monitor] history update failed:', e?.message || e));
+  }
+
+  // Report again when tampering lifted the verdict into a reported tier it wasn't in before
+  if (TNReporting.wants(verdict.tier, settings) && !TNReporting.wants(previousTier, settings) && last.incidentId) {
+    TNStore.get('incidents', last.incidentId)
+      .then(entry => entry && reportIncident(entry))
+      .catch(reportFailed);
+  }
+  return { ok: true, verdict };
+};
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+  if (msg?.type !== 'overlay:tampered' || typeof tabId !== 'number' || !TAMPER_KINDS.includes(msg.kind)) return;
+
+  recordTamper(tabId, msg.kind, msg.detail)
+    .then(sendResponse)
+    .catch(e => sendResponse({ ok: false, error: String(e?.message || e) }));
+  return true;
+});
+
+// ---------- overlay inspector ----------
+
+// A region the user marked as expected in the overlay is ignored from the next comparison on
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const tabId = sender.tab?.id;
+  if (msg?.type !== 'region:expected' || typeof tabId !== 'number') return;
+  const { region, width, height, geometry } = msg;
+  if (!region || !(width > 0) || !(height > 0)) return;
+
+  ready.then(async () => {
+    const st = tabState.get(tabId);
+    if (!st) return { ok: false, error: 'unknown-tab' };
+    return pinRegion(tabId, st, region, width, height, geometry || null);
+  })
+    .then(sendResponse)
+    .catch(e => sendResponse({ ok: false, error: String(e?.message || e) }));
+  return true;
+});
+
+// ---------- popup <-> background: pause ----------
+
+const PAUSED_TITLE = 'TabNabbing Defender - Paused on this tab';
+
+// A paused tab is neither captured nor compared. Its baseline goes: by the time the tab
+// resumes it would be stale, and what changed while paused isn't reported.
+const setPaused = async (tabId, st, paused) => {
+  st.paused = paused;
+  st.hiddenSignals = [];
+  st.heldJournal = [];
+  if (paused) {
+    cancelAnalysis(tabId);
+    await dropBaseline(tabId, st);
+  } else {
+    await persistMeta();
+  }
+
+  const title = paused ? PAUSED_TITLE : chrome.runtime.getManifest().action.default_title;
+  await Promise.all([
+    chrome.action.setTitle({ tabId, title }),
+    chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE.safe }),
+    chrome.action.setBadgeText({ tabId, text: paused ? 'off' : '' })
+  ]).catch(() => { /* tab closed */ });
+
+  // Start over from a fresh baseline when the tab is in front
+  if (!paused && st.isActive) {
+    const shot = await captureWithGeometry(tabId);
+    if (shot) await saveBaseline(tabId, st, shot);
+  }
+  return { ok: true, paused };
+};
+
+// Popup button and keyboard shortcut; enterprise policy may forbid pausing everywhere or on
+// the sites it requires monitoring for
+const pauseTab = async (tabId, paused) => {
+  await ready;
+  if (paused && !policy.allowPause) return { ok: false, error: 'policy' };
+  const tab = paused ? await getTabSafe(tabId) : null;
+  if (tab && TNSettings.isMonitored(tab.url, policy)) return { ok: false, error: 'monitored' };
+  const st = tabState.get(tabId) ?? newState(false);
+  tabState.set(tabId, st);
+  return setPaused(tabId, st, paused);
+};
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.type !== 'tab:pause' || typeof msg.tabId !== 'number') return;
+
+  pauseTab(msg.tabId, !!msg.paused)
+    .then(sendResponse)
+    .catch(e => sendResponse({ ok: false, error: String(e?.message || e) }));
+  return true;
+});
+
+// ---------- keyboard shortcuts ----------
+
+// chrome.commands from the manifest, rebindable at chrome://extensions/shortcuts. Each runs the
+// same code as the popup. Outcomes the page or badge doesn't already show come back as a
+// short notification that replaces the previous one.
+const COMMAND_NOTICE = 'tn-command';
+
+const COMMAND_MESSAGES = {
+  restricted: 'Shortcuts work only on regular web pages.',
+  'never-capture': 'This site is set to never capture.',
+  'capture-failed': 'Could not capture this tab.',
+  'no-baseline': 'No baseline yet — captured one now. Check again in a moment.',
+  rebaselined: 'The view changed (zoom, size or scroll) — took a fresh baseline instead.',
+  'analysis-failed': 'The analyzer did not answer in time. Try again.',
+  cancelled: 'Check cancelled — the tab lost focus.',
+  paused: 'Monitoring is paused on this tab.',
+  'clear-policy': 'Your organization doesn’t allow clearing highlights.',
+  'pause-policy': 'Your organization doesn’t allow pausing monitoring.',
+  monitored: 'Your organization requires monitoring on this site.',
+  'no-overlay': 'No highlights on this tab to switch.',
+  'no-heatmap': 'This result has no heatmap to show.',
+  'now-paused': 'Monitoring paused on this tab.',
+  'now-resumed': 'Monitoring resumed on this tab.'
+};
+
+const commandNotice = (key) =>
+  chrome.notifications.create(COMMAND_NOTICE, {
+    type: 'basic',
+    iconUrl: 'icons/shield128.png',
+    title: 'TabNabbing Defender',
+    message: COMMAND_MESSAGES[key] || `Shortcut failed: ${key}`,
+    priority: 0
+  });
+
+// The result paints its own overlay and badge; only failures need a word
+const checkNowCommand = async (tab) => {
+  const res = await manualCheck(tab.id);
+  if (!res.success) await commandNotice(res.error);
+};
+
+const clearCommand = async (tab) => {
+  await ready;
+  if (!policy.allowClearOverlays) return commandNotice('clear-policy');
+  await chrome.action.setBadgeText({ tabId: tab.id, text: '' });
+  await chrome.tabs.sendMessage(tab.id, { type: 'visualize:remove' }).catch(() => {});
+};
+
+const overlayModeCommand = async (tab) => {
+  const res = await chrome.tabs.sendMessage(tab.id, { type: 'visualize:mode' }).catch(() => null);
+  if (!res?.ok) await commandNotice(res?.error || 'no-overlay');
+};
+
+const pauseCommand = async (tab) => {
+  await ready;
+  const paused = !tabState.get(tab.id)?.paused;
+  const res = await pauseTab(tab.id, paused);
+  if (!res.ok) return commandNotice(res.error === 'policy' ? 'pause-policy' : res.error);
+  await commandNotice(paused ? 'now-paused' : 'now-resumed');
+};
+
+const COMMANDS = {
+  'check-now': checkNowCommand,
+  'clear-highlights': clearCommand,
+  'toggle-overlay': overlayModeCommand,
+  'toggle-pause': pauseCommand
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const run = COMMANDS[command];
+  if (!run) return;
+  try {
+    const target = tab?.id ? tab : (await chrome.tabs.query({ active: true, lastFocusedWindow: true }))[0];
+    if (!target?.id || isNonCapturableUrl(target.url)) return commandNotice('restricted');
+    await run(target);
+  } catch (e) {
+    console.warn(`[monitor] ${command} failed:`, e?.message || e);
+  }
+});
+
+// ---------- popup <-> background: tab status ----------
+
+// Age of the stored baseline (so the popup can show when protection lapsed) and the last verdict
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.type !== 'tab:status' || typeof msg.tabId !== 'number') return;
+
+  ready.then(async () => {
+    const st = tabState.get(msg.tabId);
+    const tab = await getTabSafe(msg.tabId);
+    sendResponse({
+      hasBaseline: !!st?.baseline,
+      capturedAt: st?.baseline ? st.lastCapture : 0,
+      captureInterval: settingsFor(tab?.url).captureInterval,
+      neverCapture: !!tab && isNeverCapture(tab.url),
+      paused: !!st?.paused,
+      verdict: st?.lastResult?.verdict || null,
+      verdictAt: st?.lastResult?.at || 0,
+      hasComparison: !!st?.lastResult?.compared,
+      memory: { ...baselineUsage(), budget: settings.memoryBudget * MB }
+    });
+  });
+  return true;
 });
@@ -0,0 +1,319 @@
+(async () => {
+  // ---------- feedback helpers ----------
+  const setFeedback = (msg, kind = 'info') => {
+    const el = document.getElementById('feedback');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.className = kind;
+  };
+
+  const form = document.getElementById('settingsForm');
+
+  // Enterprise policy (chrome.storage.managed); locked fields show the policy value and stay
+  // disabled, while saving keeps the user's own value for them
+  let policy = TNSettings.NO_POLICY;
+  let userValues = TNSettings.DEFAULTS;
+  const locked = (key) => TNSettings.isLocked(key, policy);
+
+  // ---------- form rendering ----------
+
+  // One fieldset per group, inputs constrained by the field metadata
+  const renderFields = () => {
+    const host = document.getElementById('fields');
+    const groups = new Map();
+
+    for (const f of TNSettings.FIELDS) {
+      if (!groups.has(f.group)) {
+        const box = document.createElement('div');
+        box.className = 'group';
+        const title = document.createElement('h2');
+        title.textContent = f.group;
+        box.appendChild(title);
+        groups.set(f.group, box);
+        host.appendChild(box);
+      }
+
+      const row = document.createElement('div');
+      row.className = f.url ? 'field wide' : 'field';
+      row.innerHTML = f.choices
+        ? `
+        <label for="f-${f.key}"></label>
+        <span><select id="f-${f.key}" name="${f.key}"></select></span>
+        <div class="hint"></div>
+        <div class="err" id="e-${f.key}"></div>
+      `
+        : f.url
+        ? `
+        <label for="f-${f.key}"></label>
+        <span><input id="f-${f.key}" name="${f.key}" type="url" placeholder="https://"></span>
+        <div class="hint"></div>
+        <div class="err" id="e-${f.key}"></div>
+      `
+        : `
+        <label for="f-${f.key}"></label>
+        <span><input id="f-${f.key}" name="${f.key}" type="number"
+          min="${f.min}" max="${f.max}" step="${f.step}"><span class="unit"></span></span>
+        <div class="hint"></div>
+        <div class="err" id="e-${f.key}"></div>
+      `;
+      row.querySelector('label').textContent = f.label;
+      const lock = document.createElement('span');
+      lock.className = 'lock';
+      lock.textContent = 'Managed';
+      lock.title = 'Set by your organization';
+      lock.hidden = true;
+      row.querySelector('label').appendChild(lock);
+      row.querySelector('.hint').textContent = f.hint;
+      if (f.choices) {
+        const select = row.querySelector('select');
+        for (const [value, label] of Object.entries(f.choices)) select.add(new Option(label, value));
+      } else if (!f.url) {
+        row.querySelector('.unit').textContent = f.unit;
+      }
+      groups.get(f.group).appendChild(row);
+    }
+  };
+
+  const renderPresets = () => {
+    const host = document.getElementById('presets');
+    for (const name of Object.keys(TNSettings.PRESETS)) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'preset';
+      btn.dataset.preset = name;
+      btn.textContent = name;
+      btn.addEventListener('click', () => applyPreset(name));
+      host.appendChild(btn);
+    }
+  };
+
+  // ---------- form state ----------
+
+  const readForm = () => {
+    const out = {};
+    for (const f of TNSettings.FIELDS) {
+      out[f.key] = form.elements[f.key].value.trim();
+    }
+    return out;
+  };
+
+  // What gets saved: the form, except that locked fields keep the user's own value
+  const userInput = () => {
+    const out = readForm();
+    for (const key of Object.keys(policy.settings)) out[key] = userValues[key];
+    return out;
+  };
+
+  // `values` are the user's settings; locked fields show the policy's instead
+  const fillForm = (values) => {
+    userValues = values;
+    const shown = TNSettings.withPolicy(values, policy);
+    for (const f of TNSettings.FIELDS) {
+      const input = form.elements[f.key];
+      input.value = shown[f.key];
+      input.disabled = locked(f.key);
+      input.closest('.field').querySelector('.lock').hidden = !locked(f.key);
+    }
+    markErrors([]);
+    highlightPreset();
+  };
+
+  const markErrors = (errors) => {
+    for (const f of TNSettings.FIELDS) {
+      const hit = errors.find(e => e.key === f.key);
+      form.elements[f.key].classList.toggle('invalid', !!hit);
+      document.getElementById(`e-${f.key}`).textContent = hit ? hit.message : '';
+    }
+  };
+
+  // Light up the preset whose values the form currently matches
+  const highlightPreset = () => {
+    const current = {};
+    for (const [k, v] of Object.entries(readForm())) current[k] = Number(v);
+    const match = TNSettings.presetOf(current);
+    for (const btn of document.querySelectorAll('.preset')) {
+      btn.classList.toggle('active', btn.dataset.preset === match);
+    }
+  };
+
+  const applyPreset = (name) => {
+    const preset = TNSettings.PRESETS[name];
+    for (const [k, v] of Object.entries(preset)) {
+      if (!locked(k)) form.elements[k].value = v;
+    }
+    markErrors([]);
+    highlightPreset();
+    const partly = Object.keys(preset).some(locked) ? ' (managed fields unchanged)' : '';
+    setFeedback(`"${name}" preset loaded${partly} — press Save to apply.`, 'info');
+  };
+
+  // ---------- actions ----------
+
+  form.addEventListener('input', highlightPreset);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const { values, errors } = await TNSettings.save(userInput());
+      markErrors(errors);
+      if (errors.length) {
+        setFeedback('Fix the highlighted fields before saving.', 'error');
+      } else {
+        userValues = values;
+        setFeedback('Saved — open tabs use the new settings now.', 'success');
+      }
+    } catch (err) {
+      setFeedback(`Save failed: ${err?.message || err}`, 'error');
+    }
+  });
+
+  document.getElementById('resetBtn').addEventListener('click', async () => {
+    try {
+      await TNSettings.reset();
+      fillForm(TNSettings.DEFAULTS);
+      setFeedback('Defaults restored.', 'success');
+    } catch (err) {
+      setFeedback(`Reset failed: ${err?.message || err}`, 'error');
+    }
+  });
+
+  // ---------- site rules ----------
+
+  const rulesForm = document.getElementById('rulesForm');
+  const rulesHost = document.getElementById('rules');
+
+  const addRuleRow = (rule = { pattern: '', mode: 'strict' }) => {
+    rulesHost.querySelector('.empty')?.remove();
+
+    const row = document.createElement('div');
+    row.className = 'rule';
+    row.innerHTML = `
+      <input type="text" placeholder="*.example.com" aria-label="Host pattern">
+      <select aria-label="Mode"></select>
+      <button type="button" class="remove" title="Remove rule" aria-label="Remove rule">×</button>
+    `;
+    row.querySelector('input').value = rule.pattern;
+
+    const select = row.querySelector('select');
+    for (const [mode, label] of Object.entries(TNSettings.SITE_MODES)) {
+      select.add(new Option(label, mode, false, mode === rule.mode));
+    }
+
+    row.querySelector('.remove').addEventListener('click', () => {
+      row.remove();
+      if (!rulesHost.children.length) renderRules([]);
+    });
+    rulesHost.appendChild(row);
+    return row;
+  };
+
+  const renderRules = (rules) => {
+    rulesHost.innerHTML = '';
+    if (!rules.length) {
+      rulesHost.innerHTML = '<div class="empty">No site rules — every site uses the settings above.</div>';
+      return;
+    }
+    rules.forEach(r => addRuleRow(r));
+  };
+
+  const readRules = () => [...rulesHost.querySelectorAll('.rule')].map(row => ({
+    pattern: row.querySelector('input').value,
+    mode: row.querySelector('select').value
+  }));
+
+  document.getElementById('addRuleBtn').addEventListener('click', () => {
+    addRuleRow().querySelector('input').focus();
+  });
+
+  rulesForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const rows = [...rulesHost.querySelectorAll('.rule')];
+    try {
+      const { errors } = await TNSettings.saveRules(readRules());
+      rows.forEach((row, i) => {
+        row.querySelector('input').classList.toggle('invalid', errors.some(err => err.index === i));
+      });
+      if (errors.length) {
+        setFeedback(errors[0].message, 'error');
+      } else {
+        setFeedback('Site rules saved.', 'success');
+      }
+    } catch (err) {
+      setFeedback(`Save failed: ${err?.message || err}`, 'error');
+    }
+  });
+
+  // ---------- enterprise policy ----------
+
+  const renderPolicy = () => {
+    const box = document.getElementById('policy');
+    const lockedCount = Object.keys(policy.settings).length;
+    const parts = [];
+    if (lockedCount) parts.push(`${lockedCount} setting${lockedCount === 1 ? ' is' : 's are'} locked`);
+    if (policy.neverCapture.length || policy.monitored.length) parts.push('some sites are governed by policy (see Site rules)');
+    if (!policy.allowClearOverlays) parts.push('highlights can’t be cleared');
+    if (!policy.allowPause) parts.push('monitoring can’t be paused');
+
+    box.hidden = !parts.length && !policy.errors.length;
+    box.textContent = parts.length ? `Managed by your organization: ${parts.join('; ')}.` : '';
+    for (const e of policy.errors) {
+      const row = document.createElement('div');
+      row.className = 'err';
+      row.textContent = `Ignored policy value — ${e.message}`;
+      box.appendChild(row);
+    }
+
+    // Read-only rows above the user's own rules
+    const host = document.getElementById('policyRules');
+    host.innerHTML = '';
+    const lists = [
+      [policy.neverCapture, 'Never capture'],
+      [policy.monitored, 'Monitoring required']
+    ];
+    for (const [patterns, label] of lists) {
+      for (const pattern of patterns) {
+        const row = document.createElement('div');
+        row.className = 'rule';
+        row.innerHTML = `
+          <input type="text" disabled aria-label="Host pattern">
+          <input type="text" disabled aria-label="Mode">
+          <span class="lock" title="Set by your organization">Managed</span>
+        `;
+        const [patternEl, modeEl] = row.querySelectorAll('input');
+        patternEl.value = pattern;
+        modeEl.value = label;
+        host.appendChild(row);
+      }
+    }
+  };
+
+  // ---------- startup ----------
+  renderPresets();
+  renderFields();
+
+  policy = await TNSettings.loadPolicy();
+  renderPolicy();
+  TNSettings.watchPolicy((next) => {
+    policy = next;
+    renderPolicy();
+    fillForm(userValues);
+  });
+
+  try {
+    renderRules(await TNSettings.loadRules());
+  } catch {
+    renderRules([]);
+  }
+  TNSettings.watchRules(renderRules);
+
+  try {
+    fillForm(await TNSettings.load());
+    setFeedback('Ready.', 'info');
+  } catch (err) {
+    fillForm(TNSettings.DEFAULTS);
+    setFeedback(`Could not load saved settings: ${err?.message || err}`, 'error');
+  }
+
+  // Another window (or a synced device) saved — reflect it here too
+  TNSettings.watch(fillForm);
+})();
@@ -0,0 +1,201 @@
+// Incident reporting: POSTs warning/critical detections to an administrator's endpoint (SIEM,
+// webhook) as JSON or CEF. Deliveries that fail wait in IndexedDB (store.js) and are retried with
+// exponential backoff. Loaded by the service worker (importScripts); off unless configured.
+
+const TNReporting = (() => {
+  'use strict';
+
+  const STORE = 'outbox';
+  const PRODUCT = 'TabNabbing Defender';
+  const SCHEMA = 'tabnab.incident/1';
+
+  const SEND_TIMEOUT_MS = 10 * 1000;
+  const RETRY_BASE_MS = 60 * 1000;        // 1, 2, 4 … minutes between attempts
+  const RETRY_MAX_MS = 60 * 60 * 1000;    // at most an hour apart
+  const MAX_ATTEMPTS = 12;                // then the event is dropped (about six hours of retries)
+  const MAX_QUEUED = 200;                 // oldest events go first beyond this
+
+  const TOP_REGIONS = 5;
+  const TOP_REASONS = 5;
+
+  const TIER_RANK = { safe: 0, minor: 1, warning: 2, critical: 3 };
+  const CEF_SEVERITY = { warning: 6, critical: 9 };
+
+  const version = () => chrome.runtime.getManifest().version;
+
+  const backoff = (attempts) => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+
+  // Whether a verdict tier is reported under the given settings
+  const wants = (tier, cfg) =>
+    cfg.reportTier !== 'off' && !!cfg.reportUrl && TIER_RANK[tier] >= TIER_RANK[cfg.reportTier];
+
+  // ---------- event ----------
+
+  // Largest, most severe regions first; labels are the page elements each one covers
+  const regionSummary = (changes = []) => {
+    const byLevel = { critical: 0, warning: 0, minor: 0 };
+    for (const c of changes) byLevel[c.level in byLevel ? c.level : 'minor']++;
+    const top = [...changes]
+      .sort((a, b) => TIER_RANK[b.level] - TIER_RANK[a.level] || b.w * b.h - a.w * a.h)
+      .slice(0, TOP_REGIONS)
+      .map(c => ({
+        level: c.level,
+        x: c.x, y: c.y, w: c.w, h: c.h,
+        deltaE: Math.round(c.maxDiff || 0),
+        ...(c.labels?.length ? { labels: c.labels.slice(0, 3) } : {})
+      }));
+    return { count: changes.length, ...byLevel, top };
+  };
+
+  // Incident history entry (incidents.js) -> event object. The page title and the before image
+  // stay local; the after preview goes out only when screenshots are enabled.
+  const toEvent = (entry, cfg) => {
+    let origin = '';
+    try {
+      origin = new URL(entry.url).origin;
+    } catch {}
+    return {
+      schema: SCHEMA,
+      id: crypto.randomUUID(),
+      time: new Date(entry.at).toISOString(),
+      product: { name: PRODUCT, version: version() },
+      origin,
+      url: entry.url,
+      tier: entry.tier,
+      score: entry.score,
+      mismatch: Math.round((entry.mismatch || 0) * 100) / 100,
+      frame: { width: entry.width, height: entry.height },
+      regions: regionSummary(entry.changes),
+      reasons: (entry.reasons || []).slice(0, TOP_REASONS).map(r => r.text),
+      signals: [...new Set((entry.signals || []).map(sg => sg.tamper ? `tamper-${sg.tamper}` : sg.kind))],
+      ...(cfg.reportImages === 'on' && entry.thumbnails?.after ? { thumbnail: entry.thumbnails.after } : {})
+    };
+  };
+
+  // CEF escapes: | and \ in the header, = and \ (and line breaks) in extension values
+  const cefHeader = (v) => String(v ?? '').replace(/[\\|]/g, '\\$&');
+  const cefValue = (v) => String(v ?? '').replace(/[\\=]/g, '\\$&').replace(/\r?\n|\r/g, '\\n');
+
+  const toCef = (event) => {
+    const ext = {
+      rt: Date.parse(event.time),
+      externalId: event.id,
+      request: event.url,
+      shost: event.origin ? new URL(event.origin).hostname : '',
+      cs1Label: 'tier', cs1: event.tier,
+      cn1Label: 'score', cn1: event.score,
+      cfp1Label: 'mismatchPercent', cfp1: event.mismatch,
+      cn2Label: 'regions', cn2: event.regions.count,
+      msg: event.reasons.join('; ')
+    };
+    return [
+      'CEF:0',
+      cefHeader(PRODUCT),
+      cefHeader(PRODUCT),
+      cefHeader(event.product.version),
+      cefHeader(`tabnab-${event.tier}`),
+      cefHeader(`Tab changed while hidden (${event.tier})`),
+      CEF_SEVERITY[event.tier] ?? 3,
+      Object.entries(ext).map(([k, v]) => `${k}=${cefValue(v)}`).join(' ')
+    ].join('|');
+  };
+
+  // { body, contentType } ready to POST; this is what the outbox keeps
+  const format = (entry, cfg) => {
+    const event = toEvent(entry, cfg);
+    return cfg.reportFormat === 'cef'
+      ? { body: toCef(event), contentType: 'text/plain; charset=utf-8' }
+      : { body: JSON.stringify(event), contentType: 'application/json' };
+  };
+
+  // ---------- delivery ----------
+
+  // true on a 2xx answer; network errors, timeouts and other statuses count as failures
+  const post = async (url, { body, contentType }) => {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body,
+        credentials: 'omit',
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+      return res.ok;
+    } catch {
+      return false;
+    }
+  };
+
+  const enqueue = async (message) => {
+    const now = Date.now();
+    await TNStore.put(STORE, { ...message, attempts: 1, createdAt: now, nextAt: now + backoff(1) });
+    const keys = await TNStore.keys(STORE);
+    if (keys.length > MAX_QUEUED) await TNStore.delMany(STORE, keys.slice(0, keys.length - MAX_QUEUED));
+  };
+
+  // Send one entry now; resolves with true when delivered, false when it was queued for a retry
+  const submit = async (entry, cfg) => {
+    const message = format(entry, cfg);
+    if (await post(cfg.reportUrl, message)) return true;
+    await enqueue(message);
+    return false;
+  };
+
+  // Earliest retry time in the outbox, or null when it is empty
+  const nextDue = async () => {
+    const queued = await TNStore.getAll(STORE);
+    return queued.length ? Math.min(...queued.map(m => m.nextAt)) : null;
+  };
+
+  let flushing = null;  // { cfg, promise } of the round in progress; callers with the same target share it
+  let latest = null;    // settings of the most recent flush request
+
+  const sameTarget = (a, b) => a.reportTier === b.reportTier && a.reportUrl === b.reportUrl;
+
+  // Retry due events oldest first. The first failure stops the round, so an unreachable endpoint
+  // costs one request per retry; newer settings stop it too, and their own round takes over.
+  // Resolves with the next retry time, or null when nothing is left.
+  // Turning reporting off empties the outbox.
+  const flushRound = async (cfg) => {
+    if (cfg.reportTier === 'off' || !cfg.reportUrl) {
+      await TNStore.clear(STORE);
+      return null;
+    }
+
+    for (const m of await TNStore.getAll(STORE)) {
+      if (!sameTarget(latest, cfg)) break;
+      if (m.nextAt > Date.now()) continue;
+      if (await post(cfg.reportUrl, m)) {
+        await TNStore.del(STORE, m.id);
+        continue;
+      }
+      if (m.attempts >= MAX_ATTEMPTS) {
+        console.warn(`[reporting] dropped an event after ${m.attempts} failed deliveries`);
+        await TNStore.del(STORE, m.id);
+        continue;
+      }
+      const nextAt = Date.now() + backoff(m.attempts + 1);
+      await TNStore.put(STORE, { ...m, attempts: m.attempts + 1, nextAt });
+      return nextAt;
+    }
+    return nextDue();
+  };
+
+  // One round at a time: two rounds would read the same entries and post them twice. A request
+  // for other settings (reporting off, new endpoint) waits for the running round, then runs its own.
+  const flush = async (cfg) => {
+    latest = cfg;
+    while (flushing) {
+      const round = flushing;
+      const next = await round.promise;
+      if (sameTarget(round.cfg, cfg)) return next;
+    }
+    const promise = flushRound(cfg).finally(() => {
+      flushing = null;
+    });
+    flushing = { cfg, promise };
+    return promise;
+  };
+
+  return { wants, format, submit, flush, nextDue };
+})();
@@ -0,0 +1,244 @@
+// Composite risk scoring: turns a comparison result plus tab/DOM signals into one verdict.
+// Loaded by the service worker (importScripts); the badge, HUD and popup all show its output.
+
+const TNScoring = (() => {
+  'use strict';
+
+  // Score cutoffs for the verdict tiers (0–100)
+  const TIER_CUTOFFS = Object.freeze({ critical: 60, warning: 30 });
+
+  // Global mismatch: badgeWarning % scores 30, badgeCritical % scores 60 (critical on its own
+  // when centered); the spatial factor below damps changes that hug the edges
+  const MISMATCH_AT_WARNING = 30;
+  const MISMATCH_AT_CRITICAL = 60;
+
+  // Per-region base points by analyzer level, and the cap for all regions together
+  const REGION_POINTS = { critical: 20, warning: 10, minor: 3 };
+  const REGION_CAP = 40;
+
+  // Center of the frame weighs 1.0, the outermost edge EDGE_WEIGHT
+  const EDGE_WEIGHT = 0.5;
+
+  const SIGNAL_POINTS = {
+    'navigation-cross': 60,
+    'navigation-same': 10,
+    favicon: 30,
+    title: 8,
+    tamper: 60
+  };
+
+  // Ways a page can interfere with the overlay (visualizer.js tamper watch)
+  const TAMPER_VERBS = {
+    removed: 'removed',
+    attributes: 'restyled',
+    hidden: 'hid',
+    covered: 'covered'
+  };
+
+  const JOURNAL_POINTS = {
+    'password-field': 35,
+    'card-field': 30,
+    'form-action-changed': 25,
+    overlay: 25,
+    'form-added': 15,
+    'favicon-changed': 20,
+    'title-changed': 8
+  };
+
+  // Visible-text changes (visualizer.js snapshot diff): new wording that asks for credentials or
+  // payment weighs most; feeds and counters reword pages all the time, so the rest stays low
+  const TEXT_POINTS = { 'text-added': 4, 'text-reworded': 3, 'text-removed': 2 };
+  const SENSITIVE_TEXT_POINTS = 25;
+  const TEXT_CAP = 30;
+  const TEXT_REASONS = 3;
+  const SENSITIVE_TEXT = /(sign.?in|log.?in|password|passcode|verif|account|credit.?card|card.?number|cvc|cvv|security.?code|payment|billing|one.?time|\botp\b|2fa|session (has )?expired)/i;
+
+  const clip = (text, n = 60) => {
+    const t = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return t.length > n ? `${t.slice(0, n - 1)}…` : t;
+  };
+
+  const hostOf = (url) => {
+    try {
+      return new URL(url).host;
+    } catch {
+      return String(url ?? '');
+    }
+  };
+
+  // ---------- component scores ----------
+
+  const mismatchPoints = (pct, cfg) => {
+    if (pct <= 0) return 0;
+    if (pct < cfg.badgeWarning) return (pct / cfg.badgeWarning) * MISMATCH_AT_WARNING;
+    if (pct < cfg.badgeCritical) {
+      const t = (pct - cfg.badgeWarning) / (cfg.badgeCritical - cfg.badgeWarning);
+      return MISMATCH_AT_WARNING + t * (MISMATCH_AT_CRITICAL - MISMATCH_AT_WARNING);
+    }
+    return MISMATCH_AT_CRITICAL;
+  };
+
+  // 1.0 at the frame center, EDGE_WEIGHT at the border (Chebyshev distance of the region center)
+  const positionWeight = (r, width, height) => {
+    if (!width || !height) return 1;
+    const cx = (r.x + r.w / 2) / width - 0.5;
+    const cy = (r.y + r.h / 2) / height - 0.5;
+    const dist = Math.min(1, Math.max(Math.abs(cx), Math.abs(cy)) * 2);
+    return 1 - dist * (1 - EDGE_WEIGHT);
+  };
+
+  const positionLabel = (r, width, height) => {
+    if (positionWeight(r, width, height) >= 0.8) return 'near the center';
+    const cy = (r.y + r.h / 2) / (height || 1);
+    const cx = (r.x + r.w / 2) / (width || 1);
+    if (cy < 0.25) return 'at the top';
+    if (cy > 0.75) return 'at the bottom';
+    return cx < 0.5 ? 'on the left' : 'on the right';
+  };
+
+  // Specks and full-frame repaints (banners, video) say less than a box-sized change
+  const sizeWeight = (r, width, height) => {
+    if (!width || !height) return 1;
+    const share = (r.w * r.h) / (width * height);
+    if (share < 0.002) return 0.5;
+    if (share > 0.25) return 0.6;
+    return 1;
+  };
+
+  // How far past its tier cutoff the region's strongest pixel went
+  const intensity = (r, cfg) =>
+    Math.min(1.5, Math.max(0.5, (Number(r.maxDiff) || 0) / cfg.regionCritical));
+
+  // Area-weighted position of all regions; 1 when there are none to locate
+  const spatialFactor = (changes, width, height) => {
+    let area = 0;
+    let weighted = 0;
+    for (const r of changes) {
+      const a = r.w * r.h;
+      area += a;
+      weighted += a * positionWeight(r, width, height);
+    }
+    return area > 0 ? weighted / area : 1;
+  };
+
+  // ---------- descriptions ----------
+
+  const describeSignal = (sg) => {
+    switch (sg.kind) {
+      case 'navigation': return sg.crossOrigin
+        ? `Navigated to ${clip(hostOf(sg.to))} while hidden`
+        : 'Page navigated while hidden';
+      case 'title':      return `Title changed while hidden: “${clip(sg.to)}”`;
+      case 'favicon':    return 'Favicon changed while hidden';
+      case 'tamper':     return `Page ${TAMPER_VERBS[sg.tamper] || 'interfered with'} the warning overlay`;
+      default:           return `${sg.kind} changed while hidden`;
+    }
+  };
+
+  const describeEvent = (e) => {
+    switch (e.kind) {
+      case 'form-added':          return `Form added while hidden${e.detail ? ` (posts to ${clip(e.detail)})` : ''}`;
+      case 'form-action-changed': return `Form target changed while hidden${e.detail ? ` → ${clip(e.detail)}` : ''}`;
+      case 'password-field':      return 'Password field added while hidden';
+      case 'card-field':          return 'Payment card field added while hidden';
+      case 'overlay':             return `Full-page ${e.detail || 'overlay'} inserted while hidden`;
+      case 'title-changed':       return `Title changed while hidden: “${clip(e.detail)}”`;
+      case 'favicon-changed':     return 'Favicon changed while hidden';
+      case 'text-added':          return `Text added while hidden: “${clip(e.detail)}”`;
+      case 'text-removed':        return `Text removed while hidden: “${clip(e.detail)}”`;
+      case 'text-reworded':       return `Text changed while hidden: “${clip(e.from, 40)}” → “${clip(e.detail, 40)}”`;
+      default:                    return `${e.kind} while hidden`;
+    }
+  };
+
+  // ---------- verdict ----------
+
+  const tierFor = (score, anyChange) =>
+    score >= TIER_CUTOFFS.critical ? 'critical' :
+    score >= TIER_CUTOFFS.warning  ? 'warning'  :
+    anyChange                      ? 'minor'    :
+                                     'safe';
+
+  // input: { mismatch, changes, width, height, signals, journal }, cfg: effective settings
+  // returns { score, tier, reasons: [{ text, points }] } with reasons sorted by weight
+  const assess = (input, cfg) => {
+    const {
+      mismatch = 0, changes = [], width = 0, height = 0,
+      signals = [], journal = []
+    } = input || {};
+    const reasons = [];
+    const add = (points, text) => {
+      if (points >= 1) reasons.push({ text, points: Math.round(points) });
+    };
+
+    // 1) Global mismatch, damped when the change sits at the edges
+    add(mismatchPoints(mismatch, cfg) * spatialFactor(changes, width, height),
+      `${mismatch.toFixed(1)}% of the visible page changed`);
+
+    // 2) Regions by level, color intensity, position and size
+    const scored = changes
+      .map(r => ({
+        r,
+        points: (REGION_POINTS[r.level] || REGION_POINTS.minor) *
+          intensity(r, cfg) * positionWeight(r, width, height) * sizeWeight(r, width, height)
+      }))
+      .sort((a, b) => b.points - a.points);
+
+    let budget = REGION_CAP;
+    for (const { r, points } of scored) {
+      const p = Math.min(points, budget);
+      budget -= p;
+      const level = r.level[0].toUpperCase() + r.level.slice(1);
+      const over = r.labels?.length ? ` over ${clip(r.labels[0], 40)}` : '';
+      add(p, `${level} change ${positionLabel(r, width, height)}${over} (ΔE ${Math.round(r.maxDiff || 0)})`);
+      if (budget <= 0) break;
+    }
+
+    // 3) Tab-level signals from chrome.tabs.onUpdated
+    const seenKinds = new Set();
+    for (const sg of signals) {
+      const key = sg.kind === 'navigation'
+        ? (sg.crossOrigin ? 'navigation-cross' : 'navigation-same')
+        : sg.kind;
+      if (seenKinds.has(key)) continue;
+      seenKinds.add(key);
+      add(SIGNAL_POINTS[key] || 0, describeSignal(sg));
+    }
+
+    // 4) Structural DOM events from the hidden-time journal (title/favicon only when not already signalled)
+    const seenEvents = new Set();
+    for (const e of journal) {
+      if (TEXT_POINTS[e.kind]) continue;
+      if (e.kind === 'title-changed' && seenKinds.has('title')) continue;
+      if (e.kind === 'favicon-changed' && seenKinds.has('favicon')) continue;
+      if (seenEvents.has(e.kind)) continue;
+      seenEvents.add(e.kind);
+      add(JOURNAL_POINTS[e.kind] || 5, describeEvent(e));
+    }
+
+    // 5) Visible text, most telling changes first
+    const texts = journal
+      .filter(e => TEXT_POINTS[e.kind])
+      .map(e => ({
+        e,
+        points: e.kind !== 'text-removed' && SENSITIVE_TEXT.test(e.detail) ? SENSITIVE_TEXT_POINTS : TEXT_POINTS[e.kind]
+      }))
+      .sort((a, b) => b.points - a.points)
+      .slice(0, TEXT_REASONS);
+
+    let textBudget = TEXT_CAP;
+    for (const { e, points } of texts) {
+      const p = Math.min(points, textBudget);
+      textBudget -= p;
+      add(p, describeEvent(e));
+    }
+
+    reasons.sort((a, b) => b.points - a.points);
+    const score = Math.min(100, Math.round(reasons.reduce((sum, r) => sum + r.points, 0)));
+    const anyChange = mismatch > 0 || changes.length > 0 || signals.length > 0 || journal.length > 0;
+
+    return { score, tier: tierFor(score, anyChange), reasons };
+  };
+
+  return { TIER_CUTOFFS, assess, describeSignal, describeEvent };
+})();
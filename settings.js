@@ -0,0 +1,487 @@
+// Shared detection settings: defaults, presets, per-site rules, validation, chrome.storage.sync wiring
+// and the enterprise policy from chrome.storage.managed (managed_schema.json).
+// Loaded by the service worker (importScripts), the offscreen analyzer, the popup and the options page.
+
+const TNSettings = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+  const RULES_KEY = 'siteRules';
+
+  // Field metadata drives both validation and the generated options form;
+  // fields with `choices` are picked from a list, `url` fields take an address, all others are numbers
+  const FIELDS = [
+    { key: 'captureInterval', group: 'Capture',  label: 'Capture interval',        unit: 'ms',  min: 1000, max: 60000, step: 100, integer: true,
+      hint: 'How often the active tab baseline is refreshed.' },
+    { key: 'comparisonDelay', group: 'Capture',  label: 'Comparison delay',        unit: 'ms',  min: 0,    max: 5000,  step: 50,  integer: true,
+      hint: 'Settle time after a tab regains focus before comparing.' },
+    { key: 'fullPage',        group: 'Capture',  label: 'Full-page capture',
+      choices: { off: 'Off', manual: 'Manual checks', strict: 'Manual checks and high-sensitivity sites' },
+      hint: 'Scrolls through the page and stitches the screens, so changes below the fold are caught. The page scrolls while it runs.' },
+    { key: 'sampleStep',      group: 'Analyzer', label: 'Sample stride',           unit: 'px',  min: 1,    max: 8,     step: 1,   integer: true,
+      hint: 'Compare every Nth pixel. Lower is more precise but heavier.' },
+    { key: 'hitDelta',        group: 'Analyzer', label: 'Pixel change threshold',  unit: 'ΔE',  min: 0.5,  max: 50,    step: 0.1,
+      hint: 'Lab color distance at which a sampled pixel counts as changed.' },
+    { key: 'minRegionArea',   group: 'Analyzer', label: 'Minimum region area',     unit: 'px²', min: 4,    max: 250000, step: 1,  integer: true,
+      hint: 'Changed regions smaller than this are ignored.' },
+    { key: 'analyzerThread',  group: 'Analyzer', label: 'Run comparisons in',
+      choices: { worker: 'Web Worker', page: 'Analyzer page' },
+      hint: 'A worker compares pixels while the analyzer page computes the global %.' },
+    { key: 'regionWarning',   group: 'Overlay',  label: 'Region warning at',       unit: 'ΔE',  min: 1,    max: 100,   step: 0.5,
+      hint: 'Per-region color distance for the warning tint.' },
+    { key: 'regionCritical',  group: 'Overlay',  label: 'Region critical at',      unit: 'ΔE',  min: 1,    max: 100,   step: 0.5,
+      hint: 'Per-region color distance for the critical tint.' },
+    { key: 'overlayMode',     group: 'Overlay',  label: 'Show changes as',
+      choices: { boxes: 'Rectangles', heatmap: 'Heatmap', both: 'Rectangles + heatmap' },
+      hint: 'The heatmap shows the shape of each change, colored by color distance.' },
+    { key: 'inputGuard',      group: 'Overlay',  label: 'Guard form input on',
+      choices: { critical: 'Critical verdicts', warning: 'Warning and critical verdicts', off: 'Never' },
+      hint: 'Typing into fields in or near changed regions waits until you confirm the page.' },
+    { key: 'notifyCritical',  group: 'Notifications', label: 'Critical verdicts',
+      choices: { on: 'Notify', off: 'Don’t notify' },
+      hint: 'Desktop notification with the site, region count and quick actions.' },
+    { key: 'notifyWarning',   group: 'Notifications', label: 'Warning verdicts',
+      choices: { on: 'Notify', off: 'Don’t notify' },
+      hint: 'Same notification for warnings; off by default.' },
+    { key: 'notifyCooldown',  group: 'Notifications', label: 'At most one per tab every', unit: 'min', min: 0, max: 120, step: 1, integer: true,
+      hint: 'Later findings on the same tab only update the badge and overlay.' },
+    { key: 'badgeWarning',    group: 'Risk score', label: 'Badge warning at',      unit: '%',   min: 0.1,  max: 100,   step: 0.5,
+      hint: 'Global % changed that alone scores as a warning (30 points) when centered.' },
+    { key: 'badgeCritical',   group: 'Risk score', label: 'Badge critical at',     unit: '%',   min: 0.1,  max: 100,   step: 0.5,
+      hint: 'Global % changed that alone scores as critical (60 points) when centered.' },
+    { key: 'historyMaxEntries', group: 'History', label: 'Keep at most',         unit: 'entries', min: 10, max: 5000, step: 10, integer: true,
+      hint: 'Oldest incidents are dropped beyond this count.' },
+    { key: 'historyMaxDays',  group: 'History',  label: 'Keep for',                unit: 'days', min: 1,    max: 365,   step: 1,   integer: true,
+      hint: 'Incidents older than this are deleted.' },
+    { key: 'baselineScale',   group: 'Memory',   label: 'Baseline resolution',
+      choices: { '1': 'Full size', '0.75': '75%', '0.5': '50%' },
+      hint: 'Captures are scaled down before they are stored and compared. Smaller misses finer changes.' },
+    { key: 'memoryBudget',    group: 'Memory',   label: 'Baseline budget',         unit: 'MB',  min: 16,   max: 1024,  step: 16,  integer: true,
+      hint: 'Least recently viewed tabs lose their baseline beyond this total.' },
+    { key: 'baselineMaxIdle', group: 'Memory',   label: 'Drop baselines after',    unit: 'h',   min: 1,    max: 720,   step: 1,   integer: true,
+      hint: 'Tabs not viewed for this long are no longer compared on return.' },
+    { key: 'reportTier',      group: 'Reporting', label: 'Report detections',
+      choices: { off: 'Don’t report', critical: 'Critical verdicts', warning: 'Warning and critical verdicts' },
+      hint: 'POSTs an event per incident to the endpoint below (SIEM, webhook). Off by default.' },
+    { key: 'reportUrl',       group: 'Reporting', label: 'Endpoint URL',           url: true,
+      hint: 'Must be https; plain http is accepted for localhost only.' },
+    { key: 'reportFormat',    group: 'Reporting', label: 'Event format',
+      choices: { json: 'JSON', cef: 'CEF (one text line)' },
+      hint: 'CEF events never carry images.' },
+    { key: 'reportImages',    group: 'Reporting', label: 'Screenshots',
+      choices: { off: 'Strip images', on: 'Include a preview' },
+      hint: 'Adds a 320 px JPEG of the changed page to JSON events. Previews can show personal data.' }
+  ];
+
+  const DEFAULTS = Object.freeze({
+    captureInterval: 3500,
+    comparisonDelay: 150,
+    fullPage: 'off',
+    sampleStep: 2,
+    hitDelta: 4.5,
+    minRegionArea: 20 * 20,
+    analyzerThread: 'worker',
+    regionWarning: 12,
+    regionCritical: 28,
+    overlayMode: 'boxes',
+    inputGuard: 'critical',
+    notifyCritical: 'on',
+    notifyWarning: 'off',
+    notifyCooldown: 5,
+    badgeWarning: 15,
+    badgeCritical: 35,
+    historyMaxEntries: 500,
+    historyMaxDays: 30,
+    baselineScale: '1',
+    memoryBudget: 128,
+    baselineMaxIdle: 24,
+    reportTier: 'off',
+    reportUrl: '',
+    reportFormat: 'json',
+    reportImages: 'off'
+  });
+
+  // Presets only touch sensitivity; timing stays whatever the user picked
+  const PRESETS = Object.freeze({
+    strict: Object.freeze({
+      sampleStep: 1,
+      hitDelta: 3,
+      minRegionArea: 12 * 12,
+      regionWarning: 8,
+      regionCritical: 20,
+      badgeWarning: 8,
+      badgeCritical: 20
+    }),
+    balanced: Object.freeze({
+      sampleStep: DEFAULTS.sampleStep,
+      hitDelta: DEFAULTS.hitDelta,
+      minRegionArea: DEFAULTS.minRegionArea,
+      regionWarning: DEFAULTS.regionWarning,
+      regionCritical: DEFAULTS.regionCritical,
+      badgeWarning: DEFAULTS.badgeWarning,
+      badgeCritical: DEFAULTS.badgeCritical
+    }),
+    relaxed: Object.freeze({
+      sampleStep: 3,
+      hitDelta: 7,
+      minRegionArea: 40 * 40,
+      regionWarning: 18,
+      regionCritical: 36,
+      badgeWarning: 25,
+      badgeCritical: 50
+    })
+  });
+
+  // Warning tiers must sit strictly below their critical counterparts
+  const ORDERED_PAIRS = [
+    ['regionWarning', 'regionCritical'],
+    ['badgeWarning', 'badgeCritical']
+  ];
+
+  const fieldFor = (key) => FIELDS.find(f => f.key === key);
+
+  // Hosts a report endpoint may reach over plain http (e.g. tools/mock_report_server.py)
+  const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+  const checkUrl = (f, raw) => {
+    let url;
+    try {
+      url = new URL(String(raw).trim());
+    } catch {
+      return { message: `${f.label} must be a full address such as https://siem.example.com/events.` };
+    }
+    if (url.protocol === 'https:' || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname))) {
+      return { value: url.href };
+    }
+    return { message: `${f.label} must use https (http only for localhost).` };
+  };
+
+  // One field's value: { value } or { message }
+  const checkField = (f, raw) => {
+    if (f.choices) {
+      return Object.hasOwn(f.choices, raw)
+        ? { value: raw }
+        : { message: `${f.label}: unknown option "${raw}".` };
+    }
+    if (f.url) return checkUrl(f, raw);
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return { message: `${f.label} must be a number.` };
+    if (f.integer && !Number.isInteger(n)) return { message: `${f.label} must be a whole number.` };
+    if (n < f.min || n > f.max) return { message: `${f.label} must be between ${f.min} and ${f.max} ${f.unit}.` };
+    return { value: n };
+  };
+
+  // Returns { values, errors }. Invalid fields fall back to defaults in `values`
+  // and are listed in `errors` as { key, message }.
+  const validate = (input) => {
+    const values = { ...DEFAULTS };
+    const errors = [];
+
+    for (const f of FIELDS) {
+      const raw = input?.[f.key];
+      if (raw === undefined || raw === null || raw === '') continue;
+      const { value, message } = checkField(f, raw);
+      if (message) errors.push({ key: f.key, message });
+      else values[f.key] = value;
+    }
+
+    for (const [lo, hi] of ORDERED_PAIRS) {
+      if (values[lo] >= values[hi]) {
+        errors.push({ key: lo, message: `${fieldFor(lo).label} must be lower than ${fieldFor(hi).label.toLowerCase()}.` });
+        values[lo] = DEFAULTS[lo];
+        values[hi] = DEFAULTS[hi];
+      }
+    }
+
+    // Reporting needs somewhere to send to
+    if (values.reportTier !== 'off' && !values.reportUrl) {
+      if (!errors.some(e => e.key === 'reportUrl')) {
+        errors.push({ key: 'reportUrl', message: `${fieldFor('reportUrl').label} is needed to report detections.` });
+      }
+      values.reportTier = 'off';
+    }
+
+    return { values, errors };
+  };
+
+  // Name of the preset the values match, or null for a custom mix
+  const presetOf = (values) => {
+    for (const [name, preset] of Object.entries(PRESETS)) {
+      if (Object.keys(preset).every(k => values?.[k] === preset[k])) return name;
+    }
+    return null;
+  };
+
+  // The subset the offscreen analyzer needs (it has no chrome.storage access)
+  const tunables = (s) => ({
+    sampleStep: s.sampleStep,
+    hitDelta: s.hitDelta,
+    minRegionArea: s.minRegionArea,
+    regionWarning: s.regionWarning,
+    regionCritical: s.regionCritical,
+    analyzerThread: s.analyzerThread
+  });
+
+  // ---------- per-site rules ----------
+
+  // never   – no screenshots are taken or kept (banking, HR portals with PII)
+  // strict  – the strict preset applies (login pages)
+  // relaxed – the relaxed preset applies (dashboards with live charts)
+  const SITE_MODES = Object.freeze({
+    never: 'Never capture',
+    strict: 'High sensitivity',
+    relaxed: 'Relaxed'
+  });
+
+  // On equally specific matches the safer mode wins
+  const MODE_PRIORITY = { never: 3, strict: 2, relaxed: 1 };
+
+  // Accepts "example.com", "*.example.com", "*bank*" or a pasted URL; returns a bare lowercase host pattern
+  const normalizePattern = (raw) => {
+    let p = String(raw ?? '').trim().toLowerCase();
+    p = p.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');  // scheme
+    p = p.replace(/[/?#].*$/, '');                  // path, query, fragment
+    p = p.replace(/:\d+$/, '');                     // port
+    return p;
+  };
+
+  const isValidPattern = (p) =>
+    /^[a-z0-9*.-]+$/.test(p) && /[a-z0-9]/.test(p) && !p.includes('**');
+
+  // "*.example.com" matches example.com itself and any subdomain; other "*" match any run of characters
+  const matchHost = (pattern, host) => {
+    if (!pattern || !host) return false;
+    if (pattern.startsWith('*.') && host === pattern.slice(2)) return true;
+    const rx = new RegExp('^' + pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$');
+    return rx.test(host);
+  };
+
+  const hostOf = (url) => {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  };
+
+  // Most specific matching rule (most literal characters) for a host, or null
+  const mostSpecific = (host, rules) => {
+    let best = null;
+    let bestWeight = -1;
+    for (const rule of rules || []) {
+      if (!matchHost(rule.pattern, host)) continue;
+      const weight = rule.pattern.replace(/\*/g, '').length;
+      if (weight > bestWeight ||
+          (weight === bestWeight && MODE_PRIORITY[rule.mode] > MODE_PRIORITY[best.mode])) {
+        best = rule;
+        bestWeight = weight;
+      }
+    }
+    return best;
+  };
+
+  // The rule that governs a URL, or null. Policy never-capture hosts win over any user rule
+  // (returned with `managed: true`); on policy-monitored hosts, user rules may tighten
+  // monitoring but not relax or stop it.
+  const ruleFor = (url, rules, policy = NO_POLICY) => {
+    const host = hostOf(url);
+    if (!host) return null;
+
+    const forced = mostSpecific(host, policy.neverCapture.map(pattern => ({ pattern, mode: 'never', managed: true })));
+    if (forced) return forced;
+
+    const rule = mostSpecific(host, rules);
+    if (rule && rule.mode !== 'strict' && isMonitored(url, policy)) return null;
+    return rule;
+  };
+
+  // Settings with the rule's preset layered on top (never-capture sites keep the globals)
+  const forRule = (s, rule) => {
+    const preset = rule && PRESETS[rule.mode];
+    return preset ? { ...s, ...preset } : s;
+  };
+
+  // Returns { rules, errors }; duplicate patterns keep the last entry
+  const validateRules = (input) => {
+    const byPattern = new Map();
+    const errors = [];
+
+    (Array.isArray(input) ? input : []).forEach((r, index) => {
+      const pattern = normalizePattern(r?.pattern);
+      if (!pattern) return;
+      if (!isValidPattern(pattern)) {
+        errors.push({ index, message: `"${r.pattern}" is not a valid host pattern.` });
+      } else if (!SITE_MODES[r?.mode]) {
+        errors.push({ index, message: `Unknown mode for ${pattern}.` });
+      } else {
+        byPattern.set(pattern, { pattern, mode: r.mode });
+      }
+    });
+
+    return { rules: [...byPattern.values()], errors };
+  };
+
+  // ---------- managed policy ----------
+
+  // What an administrator set through chrome.storage.managed, sanitized:
+  // settings   – locked values by field key; they override the user's
+  // neverCapture / monitored – host patterns, as for site rules
+  // allowClearOverlays / allowPause – whether users may clear highlights or pause a tab
+  // errors     – policy values that were ignored, as { key, message }
+  const NO_POLICY = Object.freeze({
+    settings: Object.freeze({}),
+    neverCapture: Object.freeze([]),
+    monitored: Object.freeze([]),
+    allowClearOverlays: true,
+    allowPause: true,
+    errors: Object.freeze([])
+  });
+
+  const validatePatterns = (key, input, errors) => {
+    const out = [];
+    for (const raw of Array.isArray(input) ? input : []) {
+      const pattern = normalizePattern(raw);
+      if (isValidPattern(pattern)) out.push(pattern);
+      else errors.push({ key, message: `"${raw}" is not a valid host pattern.` });
+    }
+    return out;
+  };
+
+  const validatePolicy = (raw) => {
+    const settings = {};
+    const errors = [];
+
+    for (const f of FIELDS) {
+      const value = raw?.settings?.[f.key];
+      if (value === undefined || value === null || value === '') continue;
+      const checked = checkField(f, value);
+      if (checked.message) errors.push({ key: f.key, message: checked.message });
+      else settings[f.key] = checked.value;
+    }
+    for (const [lo, hi] of ORDERED_PAIRS) {
+      if (lo in settings && hi in settings && settings[lo] >= settings[hi]) {
+        errors.push({ key: lo, message: `${fieldFor(lo).label} must be lower than ${fieldFor(hi).label.toLowerCase()}.` });
+        delete settings[lo];
+        delete settings[hi];
+      }
+    }
+
+    return {
+      settings,
+      neverCapture: validatePatterns('neverCaptureDomains', raw?.neverCaptureDomains, errors),
+      monitored: validatePatterns('monitoredDomains', raw?.monitoredDomains, errors),
+      allowClearOverlays: raw?.allowClearOverlays !== false,
+      allowPause: raw?.allowPause !== false,
+      errors
+    };
+  };
+
+  const isLocked = (key, policy = NO_POLICY) => Object.hasOwn(policy.settings, key);
+
+  const isMonitored = (url, policy = NO_POLICY) => {
+    const host = hostOf(url);
+    return !!host && policy.monitored.some(p => matchHost(p, host));
+  };
+
+  // User settings with the locked values on top. A lone locked tier can leave the user's other
+  // tier of the pair on the wrong side of it; that one moves just past the locked value.
+  const withPolicy = (values, policy = NO_POLICY) => {
+    const out = { ...values, ...policy.settings };
+    for (const [lo, hi] of ORDERED_PAIRS) {
+      if (out[lo] < out[hi]) continue;
+      if (isLocked(lo, policy)) out[hi] = Math.min(fieldFor(hi).max, out[lo] + fieldFor(hi).step);
+      else out[lo] = Math.max(fieldFor(lo).min, out[hi] - fieldFor(lo).step);
+    }
+    return out;
+  };
+
+  // No policy where the browser doesn't support managed storage (or nothing is deployed)
+  const loadPolicy = async () => {
+    try {
+      return validatePolicy(await chrome.storage.managed.get(null));
+    } catch {
+      return NO_POLICY;
+    }
+  };
+
+  const watchPolicy = (callback) => {
+    const handler = (_changes, area) => {
+      if (area === 'managed') loadPolicy().then(callback);
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  };
+
+  // ---------- chrome.storage.sync ----------
+
+  const load = async () => {
+    const got = await chrome.storage.sync.get(STORAGE_KEY);
+    return validate(got?.[STORAGE_KEY]).values;
+  };
+
+  // Persists only when everything validates; returns the validation result either way
+  const save = async (input) => {
+    const result = validate(input);
+    if (!result.errors.length) {
+      await chrome.storage.sync.set({ [STORAGE_KEY]: result.values });
+    }
+    return result;
+  };
+
+  const reset = () => chrome.storage.sync.remove(STORAGE_KEY);
+
+  // Calls back with sanitized settings whenever another context saves them
+  const watch = (callback) => {
+    const handler = (changes, area) => {
+      if (area === 'sync' && changes[STORAGE_KEY]) {
+        callback(validate(changes[STORAGE_KEY].newValue).values);
+      }
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  };
+
+  const loadRules = async () => {
+    const got = await chrome.storage.sync.get(RULES_KEY);
+    return validateRules(got?.[RULES_KEY]).rules;
+  };
+
+  const saveRules = async (input) => {
+    const result = validateRules(input);
+    if (!result.errors.length) {
+      await chrome.storage.sync.set({ [RULES_KEY]: result.rules });
+    }
+    return result;
+  };
+
+  // Add or replace the rule for one pattern; a null mode removes it
+  const setRule = async (pattern, mode) => {
+    const p = normalizePattern(pattern);
+    const rules = (await loadRules()).filter(r => r.pattern !== p);
+    if (mode) rules.push({ pattern: p, mode });
+    return saveRules(rules);
+  };
+
+  const watchRules = (callback) => {
+    const handler = (changes, area) => {
+      if (area === 'sync' && changes[RULES_KEY]) {
+        callback(validateRules(changes[RULES_KEY].newValue).rules);
+      }
+    };
+    chrome.storage.onChanged.addListener(handler);
+    return () => chrome.storage.onChanged.removeListener(handler);
+  };
+
+  return {
+    FIELDS, DEFAULTS, PRESETS, SITE_MODES, NO_POLICY,
+    validate, presetOf, tunables,
+    normalizePattern, matchHost, hostOf, ruleFor, forRule, validateRules,
+    validatePolicy, isLocked, isMonitored, withPolicy,
+    load, save, reset, watch,
+    loadRules, saveRules, setRule, watchRules,
+    loadPolicy, watchPolicy
+  };
+})();
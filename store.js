@@ -0,0 +1,91 @@
+// Minimal promise wrapper around the extension's IndexedDB database.
+// Shared by the service worker (importScripts) and extension pages.
+
+const TNStore = (() => {
+  'use strict';
+
+  const DB_NAME = 'tabnabbing-defender';
+  const DB_VERSION = 6;
+
+  // Object stores, key options and indexes; bump DB_VERSION when adding one
+  const SCHEMA = {
+    baselines: { keyPath: 'tabId' },                        // { tabId, blob (PNG), geometry, capturedAt }
+    incidents: { keyPath: 'id', autoIncrement: true,        // see incidents.js
+                 indexes: { at: 'at' } },
+    comparisons: { keyPath: 'tabId' },                      // last before/after pair per tab (compare.html)
+    masks: { keyPath: 'tabId' },                            // { tabId, cols, rows, cell, scores } volatility mask
+    pages: { keyPath: 'tabId' },                            // { tabId, blob (PNG), geometry, capturedAt } full-page baseline
+    outbox: { keyPath: 'id', autoIncrement: true }          // undelivered incident reports (reporting.js)
+  };
+
+  let dbPromise = null;
+
+  const open = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, { indexes = {}, ...opts }] of Object.entries(SCHEMA)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, opts);
+          for (const [index, keyPath] of Object.entries(indexes)) store.createIndex(index, keyPath);
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Another context upgraded the schema; reopen lazily next time
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return dbPromise;
+  };
+
+  // Run one request against a store and resolve with its result once the transaction commits
+  const run = async (store, mode, makeRequest) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = makeRequest(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  const get    = (store, key)   => run(store, 'readonly',  s => s.get(key));
+  const getAll = (store)        => run(store, 'readonly',  s => s.getAll());
+  const put    = (store, value) => run(store, 'readwrite', s => s.put(value));
+  const del    = (store, key)   => run(store, 'readwrite', s => s.delete(key));
+  const clear  = (store)        => run(store, 'readwrite', s => s.clear());
+  const count  = (store)        => run(store, 'readonly',  s => s.count());
+  const keys   = (store)        => run(store, 'readonly',  s => s.getAllKeys());
+
+  // Primary keys in index order (e.g. oldest first on an "at" index), optionally within an IDBKeyRange
+  const keysByIndex = (store, index, range) =>
+    run(store, 'readonly', s => s.index(index).getAllKeys(range));
+
+  // Delete many keys in one transaction
+  const delMany = async (store, keys) => {
+    if (!keys.length) return;
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, 'readwrite');
+      const os = tx.objectStore(store);
+      for (const k of keys) os.delete(k);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return { get, getAll, put, del, clear, count, keys, keysByIndex, delMany };
+})();
@@ -0,0 +1,82 @@
+# tools/mock_report_server.py
+# Usage:  python3 tools/mock_report_server.py --port 8787 [--fail-first 3] [--status 503] [--out events.log]
+# Why: stands in for a SIEM/webhook while testing incident reporting. Point the options page's
+# Endpoint URL at http://localhost:8787/events; every POST is printed (and optionally appended to a
+# file). --fail-first answers the first N requests with an error so the retry queue can be watched.
+
+import argparse, json, sys, threading
+from datetime import datetime
+from http.server import ThreadingHTTPServer, BaseHTTPRequestHandler
+
+class State:
+    def __init__(self, fail_first, status, out):
+        self.fail_left = fail_first
+        self.status = status
+        self.out = out
+        self.count = 0
+        self.lock = threading.Lock()
+
+def summarize(body: bytes, content_type: str) -> str:
+    text = body.decode("utf-8", "replace")
+    if not content_type.startswith("application/json"):
+        return text
+    try:
+        event = json.loads(text)
+    except ValueError:
+        return text
+    if event.get("thumbnail"):
+        event["thumbnail"] = f"<{len(event['thumbnail'])} chars>"
+    return json.dumps(event, indent=2, ensure_ascii=False)
+
+def make_handler(state: State):
+    class Handler(BaseHTTPRequestHandler):
+        def do_POST(self):
+            length = int(self.headers.get("Content-Length") or 0)
+            body = self.rfile.read(length)
+            with state.lock:
+                state.count += 1
+                n = state.count
+                failing = state.fail_left > 0
+                if failing:
+                    state.fail_left -= 1
+
+            stamp = datetime.now().strftime("%H:%M:%S")
+            if failing:
+                print(f"[{stamp}] #{n} {self.path} -> {state.status} (simulated failure)", flush=True)
+                self.send_response(state.status)
+                self.end_headers()
+                return
+
+            print(f"[{stamp}] #{n} {self.path} {self.headers.get('Content-Type', '')}", flush=True)
+            print(summarize(body, self.headers.get("Content-Type", "")), flush=True)
+            if state.out:
+                with state.lock, open(state.out, "ab") as f:
+                    f.write(body + b"\n")
+            self.send_response(204)
+            self.end_headers()
+
+        def log_message(self, *args):
+            pass  # requests are printed above
+
+    return Handler
+
+def main():
+    ap = argparse.ArgumentParser(description="Print incident reports POSTed by the extension.")
+    ap.add_argument("--port", type=int, default=8787)
+    ap.add_argument("--fail-first", type=int, default=0, help="answer the first N requests with --status")
+    ap.add_argument("--status", type=int, default=503, help="status code for simulated failures")
+    ap.add_argument("--out", help="append each received body to this file")
+    args = ap.parse_args()
+
+    server = ThreadingHTTPServer(("127.0.0.1", args.port), make_handler(State(args.fail_first, args.status, args.out)))
+    print(f"Listening on http://localhost:{args.port}/ (Ctrl+C to stop)", flush=True)
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+    return 0
+
+if __name__ == "__main__":
+    sys.exit(main())
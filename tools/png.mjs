@@ -0,0 +1,200 @@
+// tools/png.mjs
+// Minimal PNG codec for Node (zlib only), enough for browser screenshots and the CLI's output:
+// decodes non-interlaced grey, grey+alpha, RGB, RGBA and palette images at 1–16 bits per sample
+// to 8-bit RGBA; encodes 8-bit RGBA.
+
+import { inflateSync, deflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// ---------- decode ----------
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// Undo the per-row filters in place; returns the raw scanlines without filter bytes
+const unfilter = (data, height, stride, bpp) => {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const type = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[src + x];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      switch (type) {
+        case 0: out[row + x] = raw; break;
+        case 1: out[row + x] = raw + a; break;
+        case 2: out[row + x] = raw + b; break;
+        case 3: out[row + x] = raw + ((a + b) >> 1); break;
+        case 4: out[row + x] = raw + paeth(a, b, c); break;
+        default: throw new Error(`bad PNG filter type ${type} on row ${y}`);
+      }
+    }
+  }
+  return out;
+};
+
+// PNG bytes -> { data: Uint8ClampedArray (RGBA), width, height }
+const decodePng = (buf) => {
+  if (buf.length < 8 || !SIGNATURE.equals(buf.subarray(0, 8))) throw new Error('not a PNG file');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+  for (let at = 8; at + 8 <= buf.length;) {
+    const length = buf.readUInt32BE(at);
+    const type = buf.toString('latin1', at + 4, at + 8);
+    const body = buf.subarray(at + 8, at + 8 + length);
+    at += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      chunks.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG has no header');
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`unsupported PNG color type ${colorType}`);
+  if (interlace) throw new Error('interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('palette PNG without a palette');
+
+  const bitsPerPixel = channels * depth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = unfilter(inflateSync(Buffer.concat(chunks)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  // Sample n of a row, scaled to 8 bits (palette indices stay as they are)
+  const sample = (row, n) => {
+    if (depth === 8) return raw[row + n];
+    if (depth === 16) return raw[row + n * 2];
+    const bit = n * depth;
+    const v = (raw[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+    return colorType === 3 ? v : Math.round((v * 255) / ((1 << depth) - 1));
+  };
+  // Grey/RGB transparent color, scaled to 8 bits like the samples it is compared with
+  const key = (n) => {
+    const v = transparency.readUInt16BE(n * 2);
+    return depth === 16 ? v >> 8 : depth === 8 ? v : Math.round((v * 255) / ((1 << depth) - 1));
+  };
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0, o = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++, o += 4) {
+      const s = x * channels;
+      let r, g, b, a = 255;
+      switch (colorType) {
+        case 0:
+          r = g = b = sample(row, s);
+          if (transparency && r === key(0)) a = 0;
+          break;
+        case 2:
+          r = sample(row, s);
+          g = sample(row, s + 1);
+          b = sample(row, s + 2);
+          if (transparency && r === key(0) && g === key(1) && b === key(2)) a = 0;
+          break;
+        case 3: {
+          const i = sample(row, s);
+          r = palette[i * 3];
+          g = palette[i * 3 + 1];
+          b = palette[i * 3 + 2];
+          if (transparency && i < transparency.length) a = transparency[i];
+          break;
+        }
+        case 4:
+          r = g = b = sample(row, s);
+          a = sample(row, s + 1);
+          break;
+        default:
+          r = sample(row, s);
+          g = sample(row, s + 1);
+          b = sample(row, s + 2);
+          a = sample(row, s + 3);
+      }
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+  }
+  return { data, width, height };
+};
+
+// ---------- encode ----------
+
+const chunk = (type, body) => {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, 'latin1');
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+};
+
+// { data (RGBA), width, height } -> PNG bytes; every row uses the Sub filter
+const encodePng = ({ data, width, height }) => {
+  const stride = width * 4;
+  const filtered = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const at = y * (stride + 1);
+    const row = y * stride;
+    filtered[at] = 1;
+    for (let x = 0; x < stride; x++) {
+      filtered[at + 1 + x] = data[row + x] - (x >= 4 ? data[row + x - 4] : 0);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;   // bit depth
+  header[9] = 6;   // RGBA
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(filtered)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+export { decodePng, encodePng };
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// tools/tabnab-diff.mjs
+// Usage:  node tools/tabnab-diff.mjs before.png after.png [--json] [--threshold 4.5] [--annotate out.png]
+// Why: runs the extension's pixel-diff core (diffcore.mjs) on two screenshots without a browser,
+// so detection can be regression-tested against saved captures of the demo pages.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import vm from 'node:vm';
+
+import { compareFrames, LEVEL_COLORS } from '../diffcore.mjs';
+import { decodePng, encodePng } from './png.mjs';
+
+const USAGE = `Usage: tabnab-diff <before.png> <after.png> [options]
+
+Compares two equally sized screenshots the way the extension does on return to a tab.
+
+Options:
+  --json               Print { mismatch, changes, width, height } as JSON
+  --preset <name>      strict, balanced (default) or relaxed
+  --threshold <ΔE>     Pixel change threshold (hitDelta)
+  --step <px>          Sample stride
+  --min-area <px²>     Minimum region area
+  --warning <ΔE>       Region warning tier
+  --critical <ΔE>      Region critical tier
+  --annotate <file>    Write the after frame with the regions drawn on it as PNG
+  --fail-on <level>    Exit with 1 when a region at or above minor, warning or critical is found
+  -h, --help           Show this help
+
+Exit status: 0 compared, 1 --fail-on matched, 2 bad arguments or unreadable images.`;
+
+const LEVELS = ['minor', 'warning', 'critical'];
+
+// Option -> settings.js field it overrides
+const TUNABLE_FLAGS = {
+  threshold: 'hitDelta',
+  step: 'sampleStep',
+  'min-area': 'minRegionArea',
+  warning: 'regionWarning',
+  critical: 'regionCritical'
+};
+
+class UsageError extends Error {}
+
+// settings.js is a classic script for the extension; evaluate it on its own to share its
+// defaults, presets and validation (it only touches chrome.* when loading or saving)
+const loadSettings = () => {
+  const file = fileURLToPath(new URL('../settings.js', import.meta.url));
+  return vm.runInNewContext(`${readFileSync(file, 'utf8')}\nTNSettings;`, {}, { filename: file });
+};
+
+const readFrame = (file) => {
+  try {
+    return decodePng(readFileSync(file));
+  } catch (err) {
+    throw new UsageError(`${file}: ${err.message}`);
+  }
+};
+
+// ---------- annotation ----------
+
+const TINT_ALPHA = 0.25;
+const OUTLINE_PX = 2;
+
+// Copy of the frame with each region tinted and outlined in its level color
+const annotate = ({ data, width, height }, changes) => {
+  const out = new Uint8ClampedArray(data);
+  const blend = (x, y, [r, g, b], alpha) => {
+    const o = (y * width + x) * 4;
+    out[o] += (r - out[o]) * alpha;
+    out[o + 1] += (g - out[o + 1]) * alpha;
+    out[o + 2] += (b - out[o + 2]) * alpha;
+    out[o + 3] = 255;
+  };
+
+  for (const c of changes) {
+    const color = LEVEL_COLORS[c.level] || LEVEL_COLORS.minor;
+    const right = Math.min(width, c.x + c.w);
+    const bottom = Math.min(height, c.y + c.h);
+    for (let y = c.y; y < bottom; y++) {
+      for (let x = c.x; x < right; x++) {
+        const edge = x - c.x < OUTLINE_PX || right - 1 - x < OUTLINE_PX ||
+                     y - c.y < OUTLINE_PX || bottom - 1 - y < OUTLINE_PX;
+        blend(x, y, color, edge ? 1 : TINT_ALPHA);
+      }
+    }
+  }
+  return { data: out, width, height };
+};
+
+// ---------- output ----------
+
+const summary = ({ mismatch, changes, width, height }) => {
+  const lines = [`${width}x${height}  ${mismatch.toFixed(2)}% changed  ${changes.length} region${changes.length === 1 ? '' : 's'}`];
+  for (const c of changes) {
+    lines.push(`  ${c.level.padEnd(8)}  ${c.w}x${c.h} at ${c.x},${c.y}  ΔE ${c.maxDiff.toFixed(1)}`);
+  }
+  return lines.join('\n');
+};
+
+const main = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean' },
+        preset: { type: 'string' },
+        annotate: { type: 'string' },
+        'fail-on': { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+        ...Object.fromEntries(Object.keys(TUNABLE_FLAGS).map(k => [k, { type: 'string' }]))
+      }
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: opts, positionals } = parsed;
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 2) throw new UsageError('expected two PNG files');
+
+  const TNSettings = loadSettings();
+  const preset = opts.preset ?? 'balanced';
+  if (!Object.hasOwn(TNSettings.PRESETS, preset)) throw new UsageError(`unknown preset "${preset}"`);
+  const failOn = opts['fail-on'];
+  if (failOn !== undefined && !LEVELS.includes(failOn)) throw new UsageError(`--fail-on takes ${LEVELS.join(', ')}`);
+
+  const input = { ...TNSettings.PRESETS[preset] };
+  for (const [flag, key] of Object.entries(TUNABLE_FLAGS)) {
+    if (opts[flag] !== undefined) input[key] = opts[flag];
+  }
+  const { values, errors } = TNSettings.validate(input);
+  if (errors.length) throw new UsageError(errors.map(e => e.message).join('\n'));
+
+  const [before, after] = positionals.map(readFrame);
+  let result;
+  try {
+    result = compareFrames(before, after, TNSettings.tunables(values));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  console.log(opts.json ? JSON.stringify(result, null, 2) : summary(result));
+  if (opts.annotate) writeFileSync(opts.annotate, encodePng(annotate(after, result.changes)));
+
+  const floor = LEVELS.indexOf(failOn);
+  return failOn && result.changes.some(c => LEVELS.indexOf(c.level) >= floor) ? 1 : 0;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  if (!(err instanceof UsageError)) throw err;
+  console.error(`tabnab-diff: ${err.message}\nRun with --help for usage.`);
+  process.exitCode = 2;
+}
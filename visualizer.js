@@ -1,19 +1,26 @@
 // Paints change overlays and a small status HUD in the page, and cleans them up on demand.
+// While the tab is hidden it also keeps a journal of security-relevant DOM mutations.
 
 (() => {
+  let hostEl = null;      // the only node we add to the page; everything else is in its shadow root
+  let shadow = null;      // closed shadow root: the page can't query, restyle or script inside it
   let layerEl = null;     // overlay container
   let hudEl = null;       // top-right status HUD
   let resizeUnsub = null; // active resize listener
   let lastPayload = null; // cache last draw for responsive repaint
+  let hudCollapsed = false;
 
   // Ensure a single full-viewport overlay container exists
   const ensureLayer = () => {
     if (layerEl) return layerEl;
     const el = document.createElement('div');
     el.id = 'tn-layer';
+    el.setAttribute('role', 'group');
+    el.setAttribute('aria-label', 'Changes detected while this tab was hidden');
     el.style.cssText =
       'position:fixed;inset:0;pointer-events:none;z-index:2147483646;';
-    document.documentElement.appendChild(el);
+    el.addEventListener('keydown', onInspectorKey);
+    mount().appendChild(el);
     layerEl = el;
     return el;
   };
@@ -23,6 +30,8 @@
     if (hudEl) return hudEl;
     const el = document.createElement('div');
     el.id = 'tn-hud';
+    el.setAttribute('role', 'region');
+    el.setAttribute('aria-label', 'Tab change inspector');
     el.style.cssText = [
       'position:fixed',
       'top:15px',
@@ -34,15 +43,20 @@
       'padding:8px 14px',
       'border-radius:8px',
       "font:700 13px -apple-system,system-ui,'Segoe UI',Roboto,'Helvetica Neue',Arial",
-      'pointer-events:none',
+      'pointer-events:auto',
       'box-shadow:0 4px 12px rgba(0,0,0,.08),0 1px 3px rgba(0,0,0,.12)',
       'backdrop-filter:blur(10px)'
     ].join(';');
-    document.documentElement.appendChild(el);
+    el.addEventListener('keydown', onInspectorKey);
+    mount().appendChild(el);
     hudEl = el;
     return el;
   };
 
+  // The overlay and HUD are never page content (element labels, text snapshots). From the page's
+  // side of the shadow boundary all of it is the host element.
+  const isOurs = (el) => !!el && el === hostEl;
+
   // Map severity -> overlay fill
   const colorFor = (level) => {
     const map = {
@@ -53,30 +67,206 @@
     return map[level] || map.minor;
   };
 
-  // Inject animation stylesheet once
-  const ensureAnim = () => {
-    if (document.getElementById('tn-anim')) return;
-    const style = document.createElement('style');
-    style.id = 'tn-anim';
-    style.textContent = `
-      @keyframes tnPulse {
-        0%,100% { opacity: .7; transform: scale(1); }
-        50%     { opacity: .9; transform: scale(1.02); }
+  // Shadow-root stylesheet. New regions pulse a few times, then hold still; with
+  // prefers-reduced-motion nothing moves.
+  const STYLE = `
+    @keyframes tnPulse {
+      0%,100% { opacity: .7; transform: scale(1); }
+      50%     { opacity: .9; transform: scale(1.02); }
+    }
+    #tn-layer .tn-tip { display: none; }
+    #tn-layer .tn-tag:hover .tn-tip,
+    #tn-layer .tn-tag:focus-visible .tn-tip { display: block; }
+    button:focus-visible { outline: 3px solid #1E88E5; outline-offset: 2px; }
+    [hidden] { display: none !important; }
+    .tn-sr { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+    @media (prefers-reduced-motion: reduce) {
+      * { animation: none !important; transition: none !important; }
+    }
+  `;
+
+  // ---------- shadow host and tamper watch ----------
+
+  // A page that wants its swap to go unnoticed can find our nodes, hide them with CSS or remove
+  // them. All UI lives in a closed shadow root under a single host element whose inline
+  // !important style outranks page CSS. Where supported the host is a manual popover, so it sits
+  // in the top layer: above every z-index and clear of transforms or opacity on <html>.
+  // Removal, attribute edits, hiding and covering are undone and reported to monitor.js
+  // (overlay:tampered), which scores them as a high-severity signal.
+  const HOST_TAG = 'tn-overlay';
+  const HOST_STYLE = {
+    all: 'initial',
+    display: 'block',
+    position: 'fixed',
+    inset: '0',
+    width: 'auto',
+    height: 'auto',
+    margin: '0',
+    padding: '0',
+    border: '0',
+    background: 'transparent',
+    overflow: 'visible',
+    visibility: 'visible',
+    opacity: '1',
+    'z-index': '2147483647',
+    'pointer-events': 'none'
+  };
+  const HOST_ATTRIBUTES = ['style', 'popover'];
+  const WATCH_MS = 1000;
+  const MAX_REATTACH = 20;   // per result; a page that keeps removing us gets reported, not fought forever
+
+  let hostCss = '';          // the host's style attribute as we wrote it
+  let watcher = null;
+  let watchTimer = 0;
+  let raisedOver = null;     // the page's own top-layer element we last raised the overlay above
+  let reattached = 0;
+  const reported = new Set();  // tamper kinds already sent for the current result
+
+  const styleHost = () => {
+    hostEl.removeAttribute('style');
+    for (const [prop, value] of Object.entries(HOST_STYLE)) hostEl.style.setProperty(prop, value, 'important');
+    hostCss = hostEl.getAttribute('style');
+  };
+
+  // (Re)entering the top layer also moves the host above anything the page showed there since
+  const raise = () => {
+    if (!hostEl.showPopover || !hostEl.isConnected) return;
+    try {
+      if (hostEl.matches(':popover-open')) hostEl.hidePopover();
+      hostEl.showPopover();
+    } catch {
+      // popover attribute stripped; the attribute watch restores it
+    }
+  };
+
+  const reportTamper = (kind, detail = '') => {
+    if (reported.has(kind)) return;
+    reported.add(kind);
+    chrome.runtime.sendMessage({ type: 'overlay:tampered', kind, detail: clip(detail, 120) })
+      .catch(() => { /* extension reloaded */ });
+  };
+
+  const attach = () => {
+    document.documentElement.appendChild(hostEl);
+    raise();
+    watch();
+  };
+
+  // Strip attributes the page added and rewrite our style
+  const restoreHost = () => {
+    for (const name of hostEl.getAttributeNames()) {
+      if (!HOST_ATTRIBUTES.includes(name)) hostEl.removeAttribute(name);
+    }
+    if (hostEl.getAttribute('style') !== hostCss) styleHost();
+    if (hostEl.showPopover && hostEl.getAttribute('popover') !== 'manual') {
+      hostEl.popover = 'manual';
+      raise();
+    }
+    watcher?.takeRecords();
+  };
+
+  const onHostMutations = (records) => {
+    if (!hostEl) return;
+    const edited = [...new Set(records.filter(r => r.type === 'attributes').map(r => r.attributeName))];
+    if (edited.length) {
+      restoreHost();
+      reportTamper('attributes', edited.join(', '));
+    }
+    if (hostEl.parentNode !== document.documentElement && reattached < MAX_REATTACH) {
+      reattached++;
+      attach();
+      reportTamper('removed');
+    }
+  };
+
+  // What a MutationObserver can't see: an ancestor hiding us, or something drawn over the HUD.
+  // Fullscreen content (video, slides) legitimately sits above everything, so covering isn't
+  // checked while it shows.
+  const checkHost = () => {
+    if (!hostEl || document.visibilityState !== 'visible') return;
+    if (hostEl.parentNode !== document.documentElement) return onHostMutations([]);
+    if (hostEl.checkVisibility && !hostEl.checkVisibility({ visibilityProperty: true })) {
+      reportTamper('hidden', 'the page hides <html>');
+    }
+    if (document.fullscreenElement) return;
+    const box = hudEl?.firstElementChild?.getBoundingClientRect();
+    if (!box?.width) return;
+    const hit = document.elementFromPoint(box.left + box.width / 2, box.top + box.height / 2);
+    if (!hit || hit === hostEl) {
+      raisedOver = null;
+      return;
+    }
+    // The page's own dialogs and popovers share the top layer: raised over once, not reported
+    if (hit.matches(hostEl.showPopover ? ':modal, :popover-open' : ':modal')) {
+      if (hit !== raisedOver) {
+        raisedOver = hit;
+        raise();
       }
-    `;
-    document.head.appendChild(style);
+      return;
+    }
+    raise();
+    reportTamper('covered', describeElement(hit));
   };
 
-  // Draw overlays, scaled to current viewport
-  const paintAreas = (areas, srcW, srcH) => {
-    const host = ensureLayer();
-    host.innerHTML = '';
-    if (!areas?.length || !srcW || !srcH) return;
+  const watch = () => {
+    watcher?.disconnect();
+    watcher = new MutationObserver(onHostMutations);
+    watcher.observe(document, { childList: true });
+    watcher.observe(document.documentElement, { childList: true });
+    watcher.observe(hostEl, { attributes: true });
+    if (!watchTimer) watchTimer = setInterval(checkHost, WATCH_MS);
+  };
+
+  // Shadow root to draw into, creating and attaching the host on first use. Labels, reasons and
+  // titles quote the page, so that text only ever goes in through textContent.
+  const mount = () => {
+    if (!hostEl) {
+      hostEl = document.createElement(HOST_TAG);
+      shadow = hostEl.attachShadow({ mode: 'closed' });
+      const style = document.createElement('style');
+      style.textContent = STYLE;
+      shadow.appendChild(style);
+      if (hostEl.showPopover) hostEl.popover = 'manual';
+      styleHost();
+    }
+    if (hostEl.parentNode !== document.documentElement) attach();
+    return shadow;
+  };
+
+  const unmount = () => {
+    watcher?.disconnect();
+    watcher = null;
+    clearInterval(watchTimer);
+    watchTimer = 0;
+    hostEl?.remove();
+    hostEl = null;
+    shadow = null;
+  };
+
+  // ---------- frame mapping ----------
 
-    ensureAnim();
+  // Capture px -> CSS px. A viewport frame is stretched over the viewport; a full-page frame
+  // (monitor.js stitched the whole page) is in document coordinates, so it keeps its aspect
+  // and is drawn into a pane that follows the page's scroll.
+  const frameScale = ({ width, height, fullPage }) => {
+    const scaleX = window.innerWidth / width;
+    return { scaleX, scaleY: fullPage ? scaleX : window.innerHeight / height };
+  };
 
-    const scaleX = window.innerWidth / srcW;
-    const scaleY = window.innerHeight / srcH;
+  let paneEl = null;   // what the regions are drawn into: the layer, or a scrolling pane inside it
+
+  const followScroll = () => {
+    if (paneEl && paneEl !== layerEl) {
+      paneEl.style.transform = `translate(${-window.scrollX}px, ${-window.scrollY}px)`;
+    }
+  };
+
+  // Draw overlays, scaled to current viewport. While a region is selected in the inspector
+  // it is outlined and the others fade back; only the first paint of a result pulses.
+  const paintAreas = (host, areas, frame, selected = -1, pulse = true) => {
+    if (!areas?.length || !frame.width || !frame.height) return;
+
+    const { scaleX, scaleY } = frameScale(frame);
 
     const frag = document.createDocumentFragment();
     for (const a of areas) {
@@ -88,17 +278,194 @@
         `width:${a.w * scaleX}px`,
         `height:${a.h * scaleY}px`,
         `background:${colorFor(a.level)}`,
-        'border:2px solid rgba(44,62,80,.25)',
+        'opacity:.7',
+        a.index === selected ? 'border:3px solid #263238' : 'border:2px solid rgba(44,62,80,.25)',
+        selected >= 0 && a.index !== selected ? 'filter:opacity(.45) grayscale(.5)' : '',
         'pointer-events:none',
-        'animation:tnPulse 2s ease-in-out infinite'
+        pulse ? 'animation:tnPulse 2s ease-in-out 3 both' : ''
+      ].filter(Boolean).join(';');
+      frag.appendChild(box);
+    }
+    host.appendChild(frag);
+  };
+
+  // A numbered chip at the top-left corner of each region names what it covers; hovering or
+  // focusing it lists everything found, clicking it selects the region in the inspector.
+  // Only the chips take the pointer, so the page stays clickable.
+  const paintTags = (host, areas, frame, selected = -1) => {
+    if (!areas?.length || !frame.width || !frame.height) return;
+
+    const { scaleX, scaleY } = frameScale(frame);
+
+    const frag = document.createDocumentFragment();
+    areas.forEach((a, pos) => {
+      const labels = a.labels || [];
+      const tag = document.createElement('button');
+      tag.type = 'button';
+      tag.className = 'tn-tag';
+      tag.dataset.index = a.index;
+      tag.setAttribute('aria-label', describeRegion(a, pos, areas.length));
+      if (a.index === selected) tag.setAttribute('aria-current', 'true');
+      tag.addEventListener('click', () => select(a.index));
+      tag.style.cssText = [
+        'position:absolute',
+        `left:${a.x * scaleX}px`,
+        `top:${a.y * scaleY}px`,
+        'max-width:220px',
+        'margin:0',
+        'padding:2px 6px',
+        'border:0',
+        'border-radius:0 0 6px 0',
+        `background:${TIER_COLORS[a.level] || TIER_COLORS.minor}`,
+        'color:#fff',
+        "font:700 10px/1.4 -apple-system,system-ui,'Segoe UI',Roboto,Arial",
+        'text-align:left',
+        'white-space:nowrap',
+        'overflow:visible',
+        'pointer-events:auto',
+        'cursor:pointer',
+        a.index === selected ? 'box-shadow:0 0 0 2px #263238' : ''
+      ].filter(Boolean).join(';');
+
+      const chip = document.createElement('span');
+      chip.setAttribute('aria-hidden', 'true');
+      chip.style.cssText = 'display:block;overflow:hidden;text-overflow:ellipsis;';
+      chip.textContent = `${pos + 1}` +
+        (labels.length ? ` · ${labels[0]}${labels.length > 1 ? ` +${labels.length - 1}` : ''}` : '');
+      tag.appendChild(chip);
+
+      const tip = document.createElement('div');
+      tip.className = 'tn-tip';
+      tip.setAttribute('aria-hidden', 'true');
+      tip.style.cssText = [
+        'position:absolute',
+        'left:0',
+        'top:100%',
+        'margin-top:4px',
+        'padding:6px 8px',
+        'border-radius:6px',
+        'background:rgba(38,50,56,.95)',
+        'color:#fff',
+        "font:600 11px/1.5 -apple-system,system-ui,'Segoe UI',Roboto,Arial",
+        'white-space:nowrap',
+        'box-shadow:0 4px 12px rgba(0,0,0,.2)'
+      ].join(';');
+      const head = document.createElement('div');
+      head.style.cssText = 'font-weight:800;opacity:.8;';
+      head.textContent = `${(a.level || 'minor').toUpperCase()} change · ΔE ${Math.round(Number(a.maxDiff) || 0)}`;
+      tip.appendChild(head);
+      for (const label of labels) {
+        const row = document.createElement('div');
+        row.textContent = label;
+        tip.appendChild(row);
+      }
+      tag.appendChild(tip);
+      frag.appendChild(tag);
+    });
+    host.appendChild(frag);
+  };
+
+  // Changes inside learned dynamic areas (carousels, tickers): shown, but hatched and grey
+  // so they read as "ignored" rather than as a finding
+  const paintMasked = (host, areas, frame) => {
+    if (!areas?.length || !frame.width || !frame.height) return;
+    const { scaleX, scaleY } = frameScale(frame);
+
+    const frag = document.createDocumentFragment();
+    for (const a of areas) {
+      const box = document.createElement('div');
+      box.style.cssText = [
+        'position:absolute',
+        `left:${a.x * scaleX}px`,
+        `top:${a.y * scaleY}px`,
+        `width:${a.w * scaleX}px`,
+        `height:${a.h * scaleY}px`,
+        'background:repeating-linear-gradient(45deg,rgba(120,144,156,.22) 0 6px,transparent 6px 12px)',
+        'border:2px dashed rgba(84,110,122,.6)',
+        'pointer-events:none'
       ].join(';');
       frag.appendChild(box);
     }
     host.appendChild(frag);
   };
 
-  // Update HUD with match / change percentages
-  const showHud = (mismatch) => {
+  // The analyzer's heatmap arrives as a PNG data URL; decoding it ourselves (instead of an
+  // <img src="data:...">) keeps it working on pages whose CSP forbids data: images
+  const decodeHeatmap = async (dataUrl) => {
+    const [, b64 = ''] = String(dataUrl).split(',');
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+  };
+
+  // Translucent heatmap canvas stretched over the compared area, blanked under dismissed regions
+  const paintHeatmap = (host, bitmap, heat, frame, hidden = []) => {
+    if (!bitmap || !frame.width || !frame.height) return;
+    const { scaleX, scaleY } = frameScale(frame);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const kx = bitmap.width / heat.w;
+    const ky = bitmap.height / heat.h;
+    for (const r of hidden) ctx.clearRect((r.x - heat.x) * kx, (r.y - heat.y) * ky, r.w * kx, r.h * ky);
+    canvas.style.cssText = [
+      'position:absolute',
+      `left:${heat.x * scaleX}px`,
+      `top:${heat.y * scaleY}px`,
+      `width:${heat.w * scaleX}px`,
+      `height:${heat.h * scaleY}px`,
+      'opacity:.75',
+      'pointer-events:none'
+    ].join(';');
+    host.appendChild(canvas);
+  };
+
+  // Heatmap, rectangles or both, per the overlay mode; rectangles when there is no heatmap.
+  // Dismissed regions are left out; a focused chip keeps focus across the repaint.
+  const paint = (payload) => {
+    const host = ensureLayer();
+    const active = shadow?.activeElement;
+    const focused = host.contains(active) ? Number(active.dataset.index) : -1;
+    host.innerHTML = '';
+    const { changes, masked, width, height, mode, heatmap, heatBitmap, dismissed, selected } = payload;
+    const areas = visibleRegions(payload);
+    const pulse = !payload.painted;
+    payload.painted = true;
+
+    const frame = { width, height, fullPage: !!payload.fullPage };
+    paneEl = host;
+    if (frame.fullPage) {
+      paneEl = document.createElement('div');
+      paneEl.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;overflow:visible;';
+      host.appendChild(paneEl);
+      followScroll();
+    }
+
+    paintMasked(paneEl, masked, frame);
+    const withHeat = mode !== 'boxes' && heatBitmap;
+    if (withHeat) paintHeatmap(paneEl, heatBitmap, heatmap, frame, changes.filter((_, i) => dismissed.has(i)));
+    if (!withHeat || mode === 'both') paintAreas(paneEl, areas, frame, selected, pulse);
+    paintTags(paneEl, areas, frame, selected);
+    if (focused >= 0) focusChip(focused);
+  };
+
+  // HUD accent per verdict tier (matches the badge palette)
+  const TIER_COLORS = {
+    critical: '#E91E63',
+    warning:  '#FF6B35',
+    minor:    '#FFA726',
+    safe:     '#9E9E9E'
+  };
+
+  // Update HUD with match / change percentages and the verdict monitor.js computed
+  const TEXT_MARKS = { 'text-added': '+', 'text-removed': '−', 'text-reworded': '≠' };
+  const TEXT_LINES = 5;
+
+  const showHud = (mismatch, verdict, maskedCount = 0, text = []) => {
     const el = ensureHud();
     const changed = Math.max(0, Number(mismatch) || 0);
     const match = Math.max(0, 100 - changed);
@@ -108,50 +475,1010 @@
         <span style="font-size:14px;font-weight:800;">${match.toFixed(1)}%</span>
         <span style="font-size:11px;opacity:.7;">• ${changed.toFixed(1)}% changed</span>
       </div>
+      <div id="tn-hud-body"></div>
+      <div class="tn-sr" aria-live="polite"></div>
     `;
+    const toggle = hudButton('', '', () => setCollapsed(!hudCollapsed));
+    toggle.id = 'tn-hud-toggle';
+    toggle.setAttribute('aria-controls', 'tn-hud-body');
+    toggle.style.marginLeft = 'auto';
+    el.firstElementChild.appendChild(toggle);
+    const body = el.querySelector('#tn-hud-body');
+    setCollapsed(hudCollapsed);
+
+    if (verdict) {
+      const tier = TIER_COLORS[verdict.tier] ? verdict.tier : 'minor';
+      const head = document.createElement('div');
+      head.style.cssText = `margin-top:4px;font-size:11px;font-weight:800;letter-spacing:.3px;color:${TIER_COLORS[tier]};`;
+      head.textContent = `RISK ${Math.round(Number(verdict.score) || 0)} • ${tier.toUpperCase()}`;
+      body.appendChild(head);
+
+      const reasons = verdict.reasons || [];
+      const lines = reasons.slice(0, 4).map(r => r.text);
+      if (reasons.length > 4) lines.push(`+${reasons.length - 4} more`);
+      for (const text of lines) {
+        const row = document.createElement('div');
+        row.style.cssText = 'margin-top:3px;font-size:11px;font-weight:600;color:#455A64;max-width:320px;';
+        row.textContent = `• ${text}`;
+        body.appendChild(row);
+      }
+    }
+
+    // Visible text that changed while hidden, in the page's own words
+    if (verdict && text.length) {
+      const title = document.createElement('div');
+      title.style.cssText = 'margin-top:6px;font-size:10px;font-weight:800;letter-spacing:.3px;color:#546E7A;';
+      title.textContent = 'TEXT CHANGED WHILE HIDDEN';
+      body.appendChild(title);
+      for (const t of text.slice(0, TEXT_LINES)) {
+        const row = document.createElement('div');
+        row.style.cssText = 'margin-top:2px;font-size:11px;font-weight:600;color:#455A64;max-width:320px;';
+        row.textContent = t.kind === 'text-reworded'
+          ? `${TEXT_MARKS[t.kind]} “${clip(t.from, 40)}” → “${clip(t.detail, 40)}”`
+          : `${TEXT_MARKS[t.kind] || '•'} “${clip(t.detail, 80)}”`;
+        body.appendChild(row);
+      }
+      if (text.length > TEXT_LINES) {
+        const more = document.createElement('div');
+        more.style.cssText = 'margin-top:2px;font-size:10px;font-weight:600;color:#78909C;';
+        more.textContent = `+${text.length - TEXT_LINES} more`;
+        body.appendChild(more);
+      }
+    }
+
+    if (verdict && maskedCount) {
+      const note = document.createElement('div');
+      note.style.cssText = 'margin-top:4px;font-size:10px;font-weight:600;color:#78909C;';
+      note.textContent = `${maskedCount} dynamic area${maskedCount === 1 ? '' : 's'} ignored (hatched)`;
+      body.appendChild(note);
+    }
+
+    const inspector = document.createElement('div');
+    inspector.id = 'tn-inspector';
+    body.appendChild(inspector);
+    renderInspector();
+  };
+
+  // ---------- region inspector ----------
+
+  // Step through regions from the chips or the HUD, dismiss them or mark them as expected.
+  // Keys (while focus is on a chip or in the HUD): ←/→ or p/n previous/next, d dismiss,
+  // e expected, Esc collapse. Dismissing only hides a region on this page; marking it expected
+  // also pins it in the tab's volatility mask, so the next comparison ignores it. The mask covers
+  // the viewport only, so full-page results can be dismissed but not marked expected.
+
+  const canExpect = () => !!lastPayload?.allowClear && !lastPayload.fullPage;
+
+  const hudButton = (label, title, onClick, action = '') => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    if (title) btn.title = title;
+    if (action) btn.dataset.action = action;
+    btn.style.cssText = [
+      'padding:2px 8px',
+      'border-radius:5px',
+      'border:1px solid #B0BEC5',
+      'background:#fff',
+      'color:#2C3E50',
+      'font:700 11px -apple-system,system-ui,sans-serif',
+      'cursor:pointer'
+    ].join(';');
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+
+  const setCollapsed = (collapsed) => {
+    hudCollapsed = collapsed;
+    const body = hudEl?.querySelector('#tn-hud-body');
+    const toggle = hudEl?.querySelector('#tn-hud-toggle');
+    if (!body || !toggle) return;
+    body.hidden = collapsed;
+    toggle.textContent = collapsed ? '▸' : '▾';
+    toggle.title = collapsed ? 'Show change details' : 'Hide change details';
+    toggle.setAttribute('aria-label', toggle.title);
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+  };
+
+  const announce = (text) => {
+    const live = hudEl?.querySelector('[aria-live]');
+    if (live) live.textContent = text;
+  };
+
+  // Regions still shown, each with its index into the payload's changes
+  const visibleRegions = (payload = lastPayload) => payload
+    ? payload.changes.map((r, index) => ({ ...r, index })).filter(r => !payload.dismissed.has(r.index))
+    : [];
+
+  const describeRegion = (r, pos, count) =>
+    `Region ${pos + 1} of ${count}: ${r.level || 'minor'} change, ΔE ${Math.round(Number(r.maxDiff) || 0)}` +
+    (r.labels?.length ? `, over ${r.labels.join(', ')}` : '');
+
+  const focusChip = (index) => layerEl?.querySelector(`.tn-tag[data-index="${index}"]`)?.focus();
+
+  // Inspector block at the bottom of the HUD; keeps focus on the same action across rebuilds
+  const renderInspector = () => {
+    const host = hudEl?.querySelector('#tn-inspector');
+    if (!host || !lastPayload) return;
+    const active = shadow?.activeElement;
+    const focused = host.contains(active) ? active.dataset.action : null;
+    host.textContent = '';
+
+    const areas = visibleRegions();
+    if (!lastPayload.changes.length) return;
+    host.style.cssText = 'margin-top:8px;padding-top:6px;border-top:1px solid rgba(52,73,94,.15);font-size:11px;max-width:320px;';
+    if (!areas.length) {
+      host.textContent = 'All regions dismissed.';
+      if (focused) hudEl.querySelector('#tn-hud-toggle')?.focus();
+      return;
+    }
+
+    const pos = areas.findIndex(r => r.index === lastPayload.selected);
+    const nav = document.createElement('div');
+    nav.style.cssText = 'display:flex;align-items:center;gap:6px;';
+    nav.appendChild(hudButton('‹', 'Previous region', () => step(-1), 'prev'));
+    const where = document.createElement('span');
+    where.style.cssText = 'flex:1;text-align:center;font-weight:700;';
+    where.textContent = pos >= 0
+      ? `Region ${pos + 1} of ${areas.length}`
+      : `${areas.length} changed region${areas.length === 1 ? '' : 's'}`;
+    nav.appendChild(where);
+    nav.appendChild(hudButton('›', 'Next region', () => step(1), 'next'));
+    host.appendChild(nav);
+
+    if (pos >= 0) {
+      const r = areas[pos];
+      const level = TIER_COLORS[r.level] ? r.level : 'minor';
+      const head = document.createElement('div');
+      head.style.cssText = `margin-top:6px;font-weight:800;color:${TIER_COLORS[level]};`;
+      head.textContent = `${level.toUpperCase()} • ΔE ${Math.round(Number(r.maxDiff) || 0)}`;
+      host.appendChild(head);
+      for (const label of r.labels || []) {
+        const row = document.createElement('div');
+        row.style.cssText = 'font-weight:600;color:#455A64;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+        row.textContent = label;
+        host.appendChild(row);
+      }
+      if (lastPayload.allowClear) {
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display:flex;gap:6px;margin-top:6px;';
+        actions.appendChild(hudButton('Dismiss', 'Hide this region on this page', () => dismiss(r.index, false), 'dismiss'));
+        if (canExpect()) {
+          actions.appendChild(hudButton('Expected', 'Ignore changes here from now on', () => dismiss(r.index, true), 'expected'));
+        }
+        host.appendChild(actions);
+      }
+    }
+
+    if (focused) host.querySelector(`[data-action="${focused}"]`)?.focus();
+  };
+
+  const select = (index, { focus = false } = {}) => {
+    if (!lastPayload) return;
+    lastPayload.selected = index;
+    setCollapsed(false);
+    paint(lastPayload);
+    renderInspector();
+    const areas = visibleRegions();
+    const pos = areas.findIndex(r => r.index === index);
+    if (pos >= 0) announce(describeRegion(areas[pos], pos, areas.length));
+    if (focus) focusChip(index);
+  };
+
+  const step = (dir, opts) => {
+    const areas = visibleRegions();
+    if (!areas.length) return;
+    const pos = areas.findIndex(r => r.index === lastPayload.selected);
+    const next = pos < 0
+      ? (dir > 0 ? 0 : areas.length - 1)
+      : (pos + dir + areas.length) % areas.length;
+    select(areas[next].index, opts);
+  };
+
+  const dismiss = (index, expected) => {
+    if (!lastPayload?.allowClear || lastPayload.dismissed.has(index) || (expected && !canExpect())) return;
+    const onChip = !!layerEl?.contains(shadow?.activeElement);
+    const before = visibleRegions();
+    const pos = before.findIndex(r => r.index === index);
+    lastPayload.dismissed.add(index);
+
+    if (expected) {
+      const { x, y, w, h } = lastPayload.changes[index];
+      chrome.runtime.sendMessage({
+        type: 'region:expected',
+        region: { x, y, w, h },
+        width: lastPayload.width,
+        height: lastPayload.height,
+        geometry: lastPayload.geometry
+      }).catch(() => { /* extension reloaded; the region is still hidden here */ });
+    }
+
+    // Move on to the region that took its place
+    const areas = visibleRegions();
+    const next = areas[Math.min(pos, areas.length - 1)];
+    lastPayload.selected = next ? next.index : -1;
+    paint(lastPayload);
+    renderInspector();
+    announce(expected
+      ? 'Region marked as expected; changes there are ignored from now on.'
+      : 'Region dismissed.');
+    if (onChip) next ? focusChip(next.index) : hudEl?.querySelector('#tn-hud-toggle')?.focus();
+  };
+
+  const onInspectorKey = (e) => {
+    if (!lastPayload || e.altKey || e.ctrlKey || e.metaKey) return;
+    const opts = { focus: !!layerEl?.contains(e.target) };
+    const selected = lastPayload.selected;
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+      case 'n':
+        step(1, opts);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+      case 'p':
+        step(-1, opts);
+        break;
+      case 'd':
+      case 'Delete':
+        if (selected < 0 || !lastPayload.allowClear) return;
+        dismiss(selected, false);
+        break;
+      case 'e':
+        if (selected < 0 || !canExpect()) return;
+        dismiss(selected, true);
+        break;
+      case 'Escape':
+        setCollapsed(true);
+        hudEl?.querySelector('#tn-hud-toggle')?.focus();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
   };
 
-  // Repaint on resize using the last payload
+  // Repaint on resize using the last payload; full-page regions also move with the scroll
   const installResize = () => {
+    window.removeEventListener('scroll', followScroll);
+    window.addEventListener('scroll', followScroll, { passive: true });
     if (resizeUnsub) window.removeEventListener('resize', resizeUnsub);
     let rafId = 0;
     resizeUnsub = () => {
       if (rafId) cancelAnimationFrame(rafId);
       rafId = requestAnimationFrame(() => {
-        if (lastPayload) {
-          paintAreas(lastPayload.changes, lastPayload.width, lastPayload.height);
-        }
+        if (lastPayload) paint(lastPayload);
       });
     };
     window.addEventListener('resize', resizeUnsub);
   };
 
+  // Repaint with the heatmap once decoded, unless a newer result arrived meanwhile
+  const loadHeatmap = (payload) => {
+    if (!payload.heatmap || payload.heatBitmap || payload.heatLoading) return;
+    payload.heatLoading = true;
+    decodeHeatmap(payload.heatmap.image)
+      .then((bitmap) => {
+        if (lastPayload !== payload) return bitmap.close();
+        payload.heatBitmap = bitmap;
+        paint(payload);
+      })
+      .catch(() => { /* keep the rectangles */ });
+  };
+
+  // Keyboard shortcut (monitor.js): switch the shown result between rectangles and heatmap.
+  // Only this overlay changes; the next result is painted in the configured mode again.
+  const toggleMode = () => {
+    const payload = lastPayload;
+    if (!payload) return { ok: false, error: 'no-overlay' };
+    if (!payload.heatmap) return { ok: false, error: 'no-heatmap' };
+    payload.mode = payload.mode === 'boxes' ? 'heatmap' : 'boxes';
+    paint(payload);
+    if (payload.mode !== 'boxes') loadHeatmap(payload);
+    return { ok: true, mode: payload.mode };
+  };
+
   // Teardown everything we add
   const clearAll = () => {
-    if (layerEl) { layerEl.remove(); layerEl = null; }
-    if (hudEl)   { hudEl.remove();   hudEl = null; }
+    window.removeEventListener('scroll', followScroll);
+    paneEl = null;
+    layerEl = null;
+    hudEl = null;
     if (resizeUnsub) {
       window.removeEventListener('resize', resizeUnsub);
       resizeUnsub = null;
     }
-    const style = document.getElementById('tn-anim');
-    if (style) style.remove();
+    disarmGuard();
+    unmount();
+    lastPayload?.heatBitmap?.close();
     lastPayload = null;
   };
 
+  // ---------- hidden-time mutation journal ----------
+
+  const JOURNAL_LIMIT = 50;          // keep the first N events per hidden period
+  const OVERLAY_COVERAGE = 0.8;      // share of the viewport an inserted layer must cover
+
+  let journal = [];                  // [{ kind, detail, at }]
+  let journalObserver = null;
+  let hiddenSince = 0;
+
+  const clip = (text, n = 80) => {
+    const t = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return t.length > n ? `${t.slice(0, n - 1)}…` : t;
+  };
+
+  // Only report each distinct event once per hidden period
+  const record = (kind, detail = '') => {
+    if (journal.length >= JOURNAL_LIMIT) return;
+    if (journal.some(e => e.kind === kind && e.detail === detail)) return;
+    journal.push({ kind, detail: clip(detail, 160), at: Date.now() });
+  };
+
+  const CARD_HINT = /(cc-?(number|num|csc|exp)|card.?num|credit.?card|cvc|cvv|security.?code)/i;
+
+  const isCardInput = (el) =>
+    /^cc-/.test(el.getAttribute('autocomplete') || '') ||
+    CARD_HINT.test(`${el.name || ''} ${el.id || ''} ${el.getAttribute('placeholder') || ''}`);
+
+  const inspectInput = (el) => {
+    if ((el.type || '').toLowerCase() === 'password') record('password-field', el.name || el.id || '');
+    else if (isCardInput(el)) record('card-field', el.name || el.id || el.getAttribute('autocomplete') || '');
+  };
+
+  // A positioned element or iframe that covers most of the viewport
+  const inspectOverlay = (el) => {
+    if (!(el instanceof Element)) return;
+    const rect = el.getBoundingClientRect();
+    const vw = window.innerWidth || 1;
+    const vh = window.innerHeight || 1;
+    const visibleW = Math.max(0, Math.min(rect.right, vw) - Math.max(rect.left, 0));
+    const visibleH = Math.max(0, Math.min(rect.bottom, vh) - Math.max(rect.top, 0));
+    if ((visibleW * visibleH) / (vw * vh) < OVERLAY_COVERAGE) return;
+
+    if (el.tagName === 'IFRAME') {
+      record('overlay', `iframe${el.src ? ` from ${clip(safeHost(el.src), 60)}` : ''}`);
+      return;
+    }
+    const pos = getComputedStyle(el).position;
+    if (pos === 'fixed' || pos === 'absolute') record('overlay', 'overlay');
+  };
+
+  const safeHost = (url) => {
+    try {
+      return new URL(url, location.href).host;
+    } catch {
+      return url;
+    }
+  };
+
+  const isFavicon = (el) =>
+    el.tagName === 'LINK' && /(^|\s)icon(\s|$)/i.test(el.getAttribute('rel') || '');
+
+  // Walk an inserted subtree for the element kinds we care about
+  const inspectAdded = (node) => {
+    if (!(node instanceof Element)) return;
+    if (isOurs(node)) return;
+
+    const scan = (el) => {
+      if (el.tagName === 'FORM') record('form-added', el.getAttribute('action') || '');
+      else if (el.tagName === 'INPUT') inspectInput(el);
+      else if (isFavicon(el)) record('favicon-changed', el.href);
+      else if (el.tagName === 'TITLE') record('title-changed', document.title);
+    };
+
+    scan(node);
+    node.querySelectorAll?.('form, input, link[rel], title').forEach(scan);
+    inspectOverlay(node);
+  };
+
+  const onMutations = (mutations) => {
+    for (const m of mutations) {
+      if (m.type === 'childList') {
+        m.addedNodes.forEach(inspectAdded);
+        // Text swapped inside <title>
+        if (m.target.nodeName === 'TITLE' || m.target.parentNode?.nodeName === 'TITLE') {
+          record('title-changed', document.title);
+        }
+      } else if (m.type === 'characterData' && m.target.parentNode?.nodeName === 'TITLE') {
+        record('title-changed', document.title);
+      } else if (m.type === 'attributes') {
+        const el = m.target;
+        if (el.tagName === 'FORM' && m.attributeName === 'action') {
+          record('form-action-changed', el.getAttribute('action') || '');
+        } else if (el.tagName === 'INPUT' && m.attributeName === 'type') {
+          inspectInput(el);
+        } else if (isFavicon(el) && m.attributeName === 'href') {
+          record('favicon-changed', el.href);
+        }
+      }
+    }
+  };
+
+  // ---------- visible-text snapshot ----------
+
+  // What a user reads to decide whether a page is legitimate: headings, labels, buttons, links
+  // (with their target host when it differs from the page's), placeholders. Typed values never.
+  const TEXT_SELECTOR = [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'label', 'legend', 'button', 'summary', 'a[href]',
+    '[role=button]', '[role=link]', '[role=heading]', '[role=alert]', '[role=dialog] p',
+    'input[placeholder]', 'input[type=submit]', 'input[type=button]'
+  ].join(',');
+  const TEXT_ITEMS_MAX = 400;
+  const TEXT_TOKENS_MAX = 1500;     // per side; larger pages fall back to whole-item changes
+  const TEXT_CHANGES_MAX = 10;      // per kind
+
+  let textBefore = null;            // items when the tab went hidden
+
+  const itemText = (el) => {
+    if (el.tagName === 'INPUT') {
+      const type = (el.getAttribute('type') || '').toLowerCase();
+      return type === 'submit' || type === 'button' ? el.value : el.getAttribute('placeholder');
+    }
+    const text = el.innerText || el.getAttribute('aria-label') || '';
+    if (el.tagName !== 'A') return text;
+    const host = safeHost(el.getAttribute('href'));
+    return host && host !== location.host && /^https?:/i.test(el.href) ? `${text} (${host})` : text;
+  };
+
+  // Normalized text of every rendered item, outermost match only (a <button> inside a link counts once)
+  const snapshotText = () => {
+    const items = [];
+    for (const el of document.querySelectorAll(TEXT_SELECTOR)) {
+      if (items.length >= TEXT_ITEMS_MAX) break;
+      if (el.parentElement?.closest(TEXT_SELECTOR) || isOurs(el)) continue;
+      if (el.checkVisibility ? !el.checkVisibility({ visibilityProperty: true }) : !el.getClientRects().length) continue;
+      const text = clip(itemText(el), 160);
+      if (text) items.push(text);
+    }
+    return items;
+  };
+
+  // Words compared case-insensitively with digit runs folded, so clocks and counters don't count;
+  // items are kept apart by a separator token
+  const SEP = { norm: '\n', raw: '/' };
+  const tokenize = (items) => items.flatMap((item, i) => [
+    ...(i ? [SEP] : []),
+    ...item.split(' ').map(raw => ({ raw, norm: raw.toLowerCase().replace(/\d+/g, '#') }))
+  ]);
+
+  const phrase = (tokens) => clip(tokens.map(t => t.raw).join(' ').replace(/^\/ | \/$/g, ''), 120);
+
+  // Word-level LCS diff, grouped into hunks between unchanged words:
+  // { added: [text], removed: [text], reworded: [{ from, to }] }
+  const diffText = (before, after) => {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const out = { added: [], removed: [], reworded: [] };
+    const push = (list, value) => { if (list.length < TEXT_CHANGES_MAX) list.push(value); };
+
+    // Common prefix and suffix never take part
+    let start = 0;
+    while (start < a.length && start < b.length && a[start].norm === b[start].norm) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1].norm === b[endB - 1].norm) { endA--; endB--; }
+    const A = a.slice(start, endA);
+    const B = b.slice(start, endB);
+
+    // Too much changed for a word diff: report whole items instead
+    if (A.length > TEXT_TOKENS_MAX || B.length > TEXT_TOKENS_MAX) {
+      const had = new Set(before);
+      const has = new Set(after);
+      for (const t of after) if (!had.has(t)) push(out.added, t);
+      for (const t of before) if (!has.has(t)) push(out.removed, t);
+      return out;
+    }
+
+    // lcs[i][j]: common-subsequence length of A[i..] and B[j..]
+    const n = A.length;
+    const m = B.length;
+    const lcs = new Uint16Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = A[i].norm === B[j].norm
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let gone = [];
+    let came = [];
+    const flush = () => {
+      const from = phrase(gone);
+      const to = phrase(came);
+      if (from && to) push(out.reworded, { from, to });
+      else if (to) push(out.added, to);
+      else if (from) push(out.removed, from);
+      gone = [];
+      came = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && A[i].norm === B[j].norm) {
+        flush();
+        i++;
+        j++;
+      } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+        came.push(B[j++]);
+      } else {
+        gone.push(A[i++]);
+      }
+    }
+    flush();
+    return out;
+  };
+
+  // Text changes since the tab was hidden, as journal events
+  const textEvents = () => {
+    if (!textBefore) return [];
+    const { added, removed, reworded } = diffText(textBefore, snapshotText());
+    textBefore = null;
+    const at = Date.now();
+    return [
+      ...added.map(detail => ({ kind: 'text-added', detail, at })),
+      ...reworded.map(({ from, to }) => ({ kind: 'text-reworded', detail: to, from, at })),
+      ...removed.map(detail => ({ kind: 'text-removed', detail, at }))
+    ];
+  };
+
+  const startJournal = () => {
+    if (journalObserver) return;
+    journal = [];
+    textBefore = snapshotText();
+    hiddenSince = Date.now();
+    journalObserver = new MutationObserver(onMutations);
+    journalObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['action', 'type', 'href', 'rel']
+    });
+  };
+
+  const stopJournal = () => {
+    if (!journalObserver) return;
+    onMutations(journalObserver.takeRecords());
+    journalObserver.disconnect();
+    journalObserver = null;
+  };
+
+  // Hand the journal (DOM events, then text changes) to the service worker and start fresh
+  const collectJournal = () => {
+    stopJournal();
+    const out = { events: [...journal, ...textEvents()], hiddenFor: hiddenSince ? Date.now() - hiddenSince : 0 };
+    journal = [];
+    hiddenSince = 0;
+    return out;
+  };
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) startJournal();
+    else stopJournal();
+  });
+  if (document.hidden) startJournal();
+
+  // ---------- region labels ----------
+
+  // Elements worth naming, most telling first. Anything else is named only when it is about
+  // the size of the region: the wrapper <div> around half the page says nothing.
+  const NOTABLE = ['input', 'textarea', 'select', 'iframe', 'form', 'button', 'a', 'img', 'video', 'canvas', 'svg'];
+  const NOTABLE_SELECTOR = NOTABLE.join(',');
+  const SAMPLE_GRID = 3;          // hit-test points per axis inside each region
+  const MAX_OVERSIZE = 4;         // plain elements up to this many times the region's area
+  const LABELS_PER_REGION = 3;
+
+  // "input[type=password]", "img.logo", "iframe from other-origin.com", "button “Sign in”"
+  const describeElement = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input') return `input[type=${(el.getAttribute('type') || 'text').toLowerCase()}]`;
+    if (tag === 'iframe') {
+      const src = el.getAttribute('src');
+      if (!src) return 'iframe';
+      const host = safeHost(src);
+      return host === location.host ? 'iframe (same origin)' : `iframe from ${clip(host, 60)}`;
+    }
+    const id = el.id ? `#${clip(el.id, 24)}` : '';
+    const cls = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+    const text = tag === 'button' || tag === 'a' ? clip(el.textContent, 24) : '';
+    return `${tag}${id || (cls ? `.${clip(cls, 24)}` : '')}${text ? ` “${text}”` : ''}`;
+  };
+
+  // Regions of a full-page frame can lie outside the viewport, where there is nothing to hit-test:
+  // those are named from the notable elements their rectangle overlaps
+  const OFFSCREEN_SCAN_MAX = 3000;
+
+  const labelOffscreen = (left, top, w, h, ranked) => {
+    const all = document.querySelectorAll(NOTABLE_SELECTOR);
+    for (let i = 0; i < all.length && i < OFFSCREEN_SCAN_MAX; i++) {
+      const r = all[i].getBoundingClientRect();
+      if (!r.width || !r.height) continue;
+      if (r.right <= left || r.left >= left + w || r.bottom <= top || r.top >= top + h) continue;
+      ranked.set(all[i], NOTABLE.indexOf(all[i].tagName.toLowerCase()));
+    }
+  };
+
+  // Labels for one region (capture px), from the topmost page element at a grid of points in it.
+  // offX/offY move the region into the viewport (a full-page frame is in document coordinates).
+  const labelRegion = (r, scaleX, scaleY, offX = 0, offY = 0) => {
+    const left = r.x * scaleX + offX;
+    const top = r.y * scaleY + offY;
+    const w = r.w * scaleX;
+    const h = r.h * scaleY;
+    const area = Math.max(1, w * h);
+    const ranked = new Map();  // element -> rank
+
+    const cx = left + w / 2;
+    const cy = top + h / 2;
+    const offscreen = cx < 0 || cy < 0 || cx > window.innerWidth || cy > window.innerHeight;
+    if (offscreen) labelOffscreen(left, top, w, h, ranked);
+
+    for (let i = 0; i < SAMPLE_GRID && !offscreen; i++) {
+      for (let j = 0; j < SAMPLE_GRID; j++) {
+        const x = left + (w * (i + 0.5)) / SAMPLE_GRID;
+        const y = top + (h * (j + 0.5)) / SAMPLE_GRID;
+        const hit = document.elementsFromPoint(x, y)
+          .find(el => !isOurs(el) && el !== document.documentElement && el !== document.body);
+        if (!hit) continue;
+
+        const notable = hit.closest(NOTABLE_SELECTOR);
+        if (notable) {
+          ranked.set(notable, NOTABLE.indexOf(notable.tagName.toLowerCase()));
+        } else if (!ranked.has(hit)) {
+          const rect = hit.getBoundingClientRect();
+          if (rect.width * rect.height <= area * MAX_OVERSIZE) ranked.set(hit, NOTABLE.length);
+        }
+      }
+    }
+
+    const labels = [];
+    for (const [el] of [...ranked].sort((a, b) => a[1] - b[1])) {
+      const label = describeElement(el);
+      if (!labels.includes(label)) labels.push(label);
+      if (labels.length >= LABELS_PER_REGION) break;
+    }
+    return labels;
+  };
+
+  // One label list per region, for regions in a frame of srcW x srcH capture pixels
+  const labelRegions = (regions, srcW, srcH, fullPage = false) => {
+    if (!srcW || !srcH) return [];
+    const { scaleX, scaleY } = frameScale({ width: srcW, height: srcH, fullPage });
+    const offX = fullPage ? -window.scrollX : 0;
+    const offY = fullPage ? -window.scrollY : 0;
+    return (regions || []).map(r => labelRegion(r, scaleX, scaleY, offX, offY));
+  };
+
+  // ---------- input guard ----------
+
+  // After a verdict monitor.js flags (critical by default), focusing, typing into or submitting
+  // a form field in or near a changed region opens an interstitial first; the user continues,
+  // closes the tab or goes back, and monitor.js records the choice
+  const GUARD_MARGIN = 48;   // CSS px around a region that still counts as near it
+  const EDITABLE = 'input:not([type=hidden]), textarea, select, [contenteditable]:not([contenteditable=false])';
+  const GUARD_EVENTS = ['focusin', 'keydown', 'beforeinput', 'paste', 'drop', 'submit'];
+
+  // zones: [{ left, top, right, bottom }] in document px, or null to guard every field (a verdict
+  // from tab signals alone, e.g. a cross-origin navigation, has no regions to point at)
+  let guard = null;            // { zones, reasons }
+  let interstitialEl = null;
+
+  // Regions (capture px, viewport at capture time, or the whole page for a full-page frame) as
+  // document rectangles grown by GUARD_MARGIN, so the zones stay put when the user scrolls
+  const guardZones = (regions, srcW, srcH, fullPage) => {
+    const { scaleX, scaleY } = frameScale({ width: srcW, height: srcH, fullPage });
+    const sx = fullPage ? 0 : window.scrollX;
+    const sy = fullPage ? 0 : window.scrollY;
+    return regions.map(r => ({
+      left: r.x * scaleX + sx - GUARD_MARGIN,
+      top: r.y * scaleY + sy - GUARD_MARGIN,
+      right: (r.x + r.w) * scaleX + sx + GUARD_MARGIN,
+      bottom: (r.y + r.h) * scaleY + sy + GUARD_MARGIN
+    }));
+  };
+
+  // The field or form an event is aimed at, when it lies in a guarded zone
+  const guardedTarget = (target) => {
+    if (!guard || !(target instanceof Element) || interstitialEl?.contains(target) || isOurs(target)) return null;
+    const el = target.tagName === 'FORM' ? target : target.closest(EDITABLE);
+    if (!el) return null;
+    const r = el.getBoundingClientRect();
+    const left = r.left + window.scrollX;
+    const top = r.top + window.scrollY;
+    const hit = !guard.zones || guard.zones.some(z =>
+      left < z.right && left + r.width > z.left && top < z.bottom && top + r.height > z.top);
+    return hit ? el : null;
+  };
+
+  // Capture phase on window: runs before any listener the page put on document or the field
+  const onGuardEvent = (e) => {
+    if (interstitialEl && e.type === 'keydown' && !isOurs(e.target)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+    const el = guardedTarget(e.target);
+    if (!el) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (el === document.activeElement || el.contains(document.activeElement)) document.activeElement.blur();
+    showInterstitial();
+  };
+
+  const armGuard = (regions, srcW, srcH, verdict, fullPage = false) => {
+    if (!guard) GUARD_EVENTS.forEach(type => window.addEventListener(type, onGuardEvent, true));
+    guard = {
+      zones: regions?.length && srcW && srcH ? guardZones(regions, srcW, srcH, fullPage) : null,
+      reasons: (verdict?.reasons || []).slice(0, 3).map(r => r.text)
+    };
+
+    // Already typing in a field the change sits on
+    if (guardedTarget(document.activeElement)) {
+      document.activeElement.blur();
+      showInterstitial();
+    }
+  };
+
+  const disarmGuard = () => {
+    if (guard) GUARD_EVENTS.forEach(type => window.removeEventListener(type, onGuardEvent, true));
+    guard = null;
+    interstitialEl?.remove();
+    interstitialEl = null;
+  };
+
+  const decide = async (choice) => {
+    disarmGuard();
+    try {
+      await chrome.runtime.sendMessage({ type: 'guard:choice', choice });
+    } catch {
+      // extension reloaded; the choice still applies to this page
+    }
+    if (choice === 'back') history.back();
+  };
+
+  const showInterstitial = () => {
+    if (interstitialEl) return;
+    const back = document.createElement('div');
+    back.id = 'tn-guard';
+    back.setAttribute('role', 'alertdialog');
+    back.setAttribute('aria-modal', 'true');
+    back.setAttribute('aria-labelledby', 'tn-guard-title');
+    back.setAttribute('aria-describedby', 'tn-guard-text');
+    back.style.cssText = [
+      'position:fixed',
+      'inset:0',
+      'z-index:2147483647',
+      'display:flex',
+      'align-items:center',
+      'justify-content:center',
+      'background:rgba(38,50,56,.55)',
+      'backdrop-filter:blur(3px)'
+    ].join(';');
+
+    const card = document.createElement('div');
+    card.style.cssText = [
+      'max-width:440px',
+      'margin:16px',
+      'padding:20px 22px',
+      'border-radius:12px',
+      'background:#fff',
+      'color:#2C3E50',
+      'border-top:4px solid #E91E63',
+      'box-shadow:0 12px 32px rgba(0,0,0,.25)',
+      "font:500 14px/1.5 -apple-system,system-ui,'Segoe UI',Roboto,'Helvetica Neue',Arial",
+      'text-align:left'
+    ].join(';');
+
+    const title = document.createElement('div');
+    title.id = 'tn-guard-title';
+    title.style.cssText = 'font-size:17px;font-weight:800;margin-bottom:6px;color:#C2185B;';
+    title.textContent = 'This page changed while you were away';
+    card.appendChild(title);
+
+    const text = document.createElement('div');
+    text.id = 'tn-guard-text';
+    text.style.cssText = 'margin-bottom:8px;';
+    text.textContent = `Check that you are really on ${location.host || 'the site you expect'} before typing ` +
+      'anything here, especially passwords or card numbers.';
+    card.appendChild(text);
+
+    for (const reason of guard?.reasons || []) {
+      const row = document.createElement('div');
+      row.style.cssText = 'font-size:12px;font-weight:600;color:#546E7A;';
+      row.textContent = `• ${reason}`;
+      card.appendChild(row);
+    }
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display:flex;flex-wrap:wrap;gap:8px;margin-top:16px;';
+    const button = (label, choice, primary) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = label;
+      btn.style.cssText = [
+        'padding:8px 14px',
+        'border-radius:6px',
+        'font:700 13px -apple-system,system-ui,sans-serif',
+        'cursor:pointer',
+        primary ? 'background:#E91E63;color:#fff;border:1px solid #E91E63' : 'background:#fff;color:#2C3E50;border:1px solid #B0BEC5'
+      ].join(';');
+      btn.addEventListener('click', () => decide(choice));
+      actions.appendChild(btn);
+      return btn;
+    };
+    const canGoBack = history.length > 1;
+    const first = canGoBack ? button('Go back', 'back', true) : null;
+    const close = button('Close tab', 'close', !canGoBack);
+    button('Continue anyway', 'continue', false);
+    card.appendChild(actions);
+
+    back.appendChild(card);
+    mount().appendChild(back);
+    interstitialEl = back;
+    (first || close).focus();
+  };
+
+  // ---------- full-page capture ----------
+
+  // monitor.js scrolls the page one screen at a time and captures each (fullpage:begin,
+  // fullpage:scroll, fullpage:end). Fixed and sticky elements are hidden after the first
+  // screen so a sticky header isn't repeated down the stitched frame; our overlay is hidden
+  // throughout. The user's scroll position is restored at the end.
+  const FIXED_SCAN_MAX = 5000;    // elements checked for position: fixed/sticky
+  const SWEEP_TIMEOUT_MS = 15000; // restore the page if monitor.js goes quiet mid-sweep
+
+  // { scrollX, scrollY, behavior, fixed: [el], hidden: [[el, value, priority]], timer }
+  let sweep = null;
+
+  const pageHeight = () => Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0);
+
+  const nextPaint = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  // Our host's visibility, without the tamper watch taking it for the page's doing
+  const hideOverlay = (hidden) => {
+    if (!hostEl) return;
+    watcher?.disconnect();
+    clearInterval(watchTimer);
+    watchTimer = 0;
+    hostEl.style.setProperty('visibility', hidden ? 'hidden' : 'visible', 'important');
+    hostCss = hostEl.getAttribute('style');
+    if (!hidden) watch();
+  };
+
+  const keepSweepAlive = () => {
+    clearTimeout(sweep.timer);
+    sweep.timer = setTimeout(endSweep, SWEEP_TIMEOUT_MS);
+  };
+
+  const beginSweep = () => {
+    endSweep();
+    const fixed = [];
+    const all = document.body?.getElementsByTagName('*') || [];
+    for (let i = 0; i < all.length && i < FIXED_SCAN_MAX; i++) {
+      const { position } = getComputedStyle(all[i]);
+      if (position === 'fixed' || position === 'sticky') fixed.push(all[i]);
+    }
+
+    const root = document.documentElement;
+    sweep = {
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      behavior: root.style.getPropertyValue('scroll-behavior'),
+      fixed,
+      hidden: [],
+      timer: 0
+    };
+    // Smooth scrolling would still be moving when the screen is captured
+    root.style.setProperty('scroll-behavior', 'auto', 'important');
+    hideOverlay(true);
+    keepSweepAlive();
+    return { ...readGeometry(), pageHeight: pageHeight() };
+  };
+
+  // Scroll to y (CSS px) and report where the page actually ended up once it has painted
+  const sweepTo = async (y, hideFixed) => {
+    if (!sweep) return null;
+    keepSweepAlive();
+    if (hideFixed && !sweep.hidden.length) {
+      for (const el of sweep.fixed) {
+        sweep.hidden.push([el, el.style.getPropertyValue('visibility'), el.style.getPropertyPriority('visibility')]);
+        el.style.setProperty('visibility', 'hidden', 'important');
+      }
+    }
+    window.scrollTo(sweep.scrollX, y);
+    await nextPaint();
+    return { scrollY: window.scrollY, pageHeight: pageHeight() };
+  };
+
+  const endSweep = () => {
+    if (!sweep) return;
+    clearTimeout(sweep.timer);
+    for (const [el, value, priority] of sweep.hidden) {
+      if (value) el.style.setProperty('visibility', value, priority);
+      else el.style.removeProperty('visibility');
+    }
+    const root = document.documentElement;
+    if (sweep.behavior) root.style.setProperty('scroll-behavior', sweep.behavior);
+    else root.style.removeProperty('scroll-behavior');
+    window.scrollTo(sweep.scrollX, sweep.scrollY);
+    sweep = null;
+    hideOverlay(false);
+  };
+
+  // Last time the user scrolled, typed or clicked: monitor.js sweeps on its own only when the
+  // page has been left alone for a moment
+  let lastInput = Date.now();
+  for (const type of ['wheel', 'keydown', 'pointerdown', 'touchstart']) {
+    window.addEventListener(type, () => { lastInput = Date.now(); }, { capture: true, passive: true });
+  }
+
+  // Viewport geometry the service worker stores with each capture, so the analyzer
+  // can align scrolled frames and skip comparisons across zoom/resize
+  const readGeometry = () => ({
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    innerWidth: window.innerWidth,
+    innerHeight: window.innerHeight,
+    dpr: window.devicePixelRatio || 1,
+    idleMs: Date.now() - lastInput
+  });
+
   // Wire messages from the service worker
-  chrome.runtime.onMessage.addListener((msg) => {
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     if (msg?.type === 'visualize:changes') {
-      lastPayload = {
+      lastPayload?.heatBitmap?.close();
+      const payload = lastPayload = {
         changes: msg.changes || [],
+        masked: msg.masked || [],
         width: msg.width,
-        height: msg.height
+        height: msg.height,
+        mode: msg.overlayMode || 'boxes',
+        heatmap: msg.heatmap || null,
+        heatBitmap: null,
+        geometry: readGeometry(),   // frame the regions were found in, for region:expected
+        dismissed: new Set(),       // indices into changes hidden from the inspector
+        selected: -1,
+        mismatch: msg.mismatch,
+        text: msg.text || [],
+        fullPage: !!msg.fullPage,   // regions in document coordinates
+        allowClear: msg.allowClear !== false  // enterprise policy may forbid dismissing regions
       };
-      showHud(msg.mismatch);
-      paintAreas(lastPayload.changes, lastPayload.width, lastPayload.height);
+      reported.clear();
+      reattached = 0;
+      showHud(msg.mismatch, msg.verdict, payload.masked.length, payload.text);
+      paint(payload);
       installResize();
+      if (msg.guard) armGuard(payload.changes, payload.width, payload.height, msg.verdict, payload.fullPage);
+      else disarmGuard();
+
+      if (payload.mode !== 'boxes') loadHeatmap(payload);
+    } else if (msg?.type === 'visualize:verdict' && lastPayload) {
+      // Rescored after the page tampered with the overlay
+      showHud(lastPayload.mismatch, msg.verdict, lastPayload.masked.length, lastPayload.text);
+      if (msg.guard) armGuard(lastPayload.changes, lastPayload.width, lastPayload.height, msg.verdict, lastPayload.fullPage);
     } else if (msg?.type === 'visualize:remove') {
       clearAll();
+    } else if (msg?.type === 'visualize:mode') {
+      sendResponse(toggleMode());
+    } else if (msg?.type === 'geometry:probe') {
+      sendResponse(readGeometry());
+    } else if (msg?.type === 'journal:collect') {
+      sendResponse(collectJournal());
+    } else if (msg?.type === 'fullpage:begin') {
+      sendResponse(beginSweep());
+    } else if (msg?.type === 'fullpage:scroll') {
+      sweepTo(msg.y, !!msg.hideFixed).then(sendResponse);
+      return true;
+    } else if (msg?.type === 'fullpage:end') {
+      endSweep();
+      sendResponse({ ok: true });
+    } else if (msg?.type === 'regions:label') {
+      sendResponse({ labels: labelRegions(msg.regions, msg.width, msg.height, !!msg.fullPage) });
     }
   });
 })();